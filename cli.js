@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const FirebaseDataSource = require('./index.js');
+
+const usage = `Usage:
+  apollo-datasource-firebase export <collection> [options]
+  apollo-datasource-firebase import [options]
+
+Options:
+  --config <file>         firebaseConfig.json to use (default: ./firebaseConfig.json)
+  --file <file>           NDJSON file to write or read (default: stdout or stdin)
+  --filter <json>         filterArgs for the export, as accepted by getDocuments
+  --no-subcollections     leave out subcollections from the export
+  --mode <mode>           upsert (default) or skipExisting for the import
+  --resume-after <value>  document id (export) or path (import) to continue after
+`;
+
+const parseArgs = (argv) => {
+  const options = { positional: [] };
+  for (var index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === "--no-subcollections") {
+      options.subcollections = false;
+    } else if (arg.startsWith("--")) {
+      const name = arg.slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+      options[name] = argv[++index];
+    } else {
+      options.positional.push(arg);
+    };
+  };
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const [command, collection] = options.positional;
+  if (command !== "export" && command !== "import") {
+    process.stderr.write(usage);
+    return 1;
+  };
+  if (command === "export" && !collection) {
+    process.stderr.write(usage);
+    return 1;
+  };
+
+  const firebaseConfig = JSON.parse(fs.readFileSync(path.resolve(options.config || "firebaseConfig.json"), 'utf8'));
+  const dataSource = new FirebaseDataSource(firebaseConfig);
+  // The service account already has full access, so the CLI acts as an admin.
+  dataSource.activeUser = { uid: "cli", customClaims: { admin: true } };
+
+  if (command === "export") {
+    const output = options.file ? fs.createWriteStream(options.file, { flags: options.resumeAfter ? "a" : "w" }) : process.stdout;
+    const { count, lastId } = await dataSource.exportCollection({
+      collection,
+      filterArgs: options.filter ? JSON.parse(options.filter) : {},
+      subcollections: options.subcollections !== false,
+      resumeAfter: options.resumeAfter,
+      output
+    });
+    if (output !== process.stdout) await new Promise(resolve => output.end(resolve));
+    process.stderr.write(`Exported ${count} documents, the last top-level document was '${lastId}'.\n`);
+  } else {
+    const { written, skipped, lastPath } = await dataSource.importCollection({
+      input: options.file ? fs.createReadStream(options.file) : process.stdin,
+      mode: options.mode,
+      resumeAfter: options.resumeAfter
+    });
+    process.stderr.write(`Imported ${written} documents and skipped ${skipped}, the last document was '${lastPath}'.\n`);
+  };
+  return 0;
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    process.stderr.write(`${err.message}\n`);
+    if (err.extensions && err.extensions.resumeAfter) {
+      process.stderr.write(`Continue with --resume-after ${err.extensions.resumeAfter}\n`);
+    };
+    process.exit(1);
+  });
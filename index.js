@@ -1,6 +1,11 @@
 const { DataSource } = require('apollo-datasource');
+const { ApolloError } = require('apollo-server-errors');
+const Ajv = require('ajv');
 const firebase = require('firebase');
 const admin = require('firebase-admin');
+const { pipeline, Transform } = require('stream');
+const { once } = require('events');
+const readline = require('readline');
 require('firebase/firestore');
 
 const tryParseBool = (value) => {
@@ -13,34 +18,651 @@ const tryParseBool = (value) => {
   }
 };
 
+class FirebaseDataSourceError extends ApolloError {
+  constructor(message, code, { cause, ...extensions } = {}) {
+    super(message, code, extensions);
+    Object.defineProperty(this, 'name', { value: this.constructor.name });
+    if (cause) Object.defineProperty(this, 'cause', { value: cause });
+  }
+};
+
+class UnauthenticatedError extends FirebaseDataSourceError {
+  constructor(message, options) {
+    super(message, "UNAUTHENTICATED", options);
+  }
+};
+
+class ForbiddenError extends FirebaseDataSourceError {
+  constructor(message, options) {
+    super(message, "FORBIDDEN", options);
+  }
+};
+
+class NotFoundError extends FirebaseDataSourceError {
+  constructor(message, options) {
+    super(message, "NOT_FOUND", options);
+  }
+};
+
+class InvalidInputError extends FirebaseDataSourceError {
+  constructor(message, options) {
+    super(message, "BAD_USER_INPUT", options);
+  }
+};
+
+class ConflictError extends FirebaseDataSourceError {
+  constructor(message, options) {
+    super(message, "CONFLICT", options);
+  }
+};
+
+class UnavailableError extends FirebaseDataSourceError {
+  constructor(message, options) {
+    super(message, "SERVICE_UNAVAILABLE", options);
+  }
+};
+
+// Firestore, Realtime Database, Auth and gRPC status codes, and the HTTP
+// status codes of Storage errors.
+const errorClasses = {
+  "unauthenticated": UnauthenticatedError,
+  "permission-denied": ForbiddenError,
+  "not-found": NotFoundError,
+  "invalid-argument": InvalidInputError,
+  "out-of-range": InvalidInputError,
+  "already-exists": ConflictError,
+  "aborted": ConflictError,
+  "failed-precondition": ConflictError,
+  "unavailable": UnavailableError,
+  "deadline-exceeded": UnavailableError,
+  "resource-exhausted": UnavailableError,
+  "auth/user-not-found": NotFoundError,
+  "auth/wrong-password": UnauthenticatedError,
+  "auth/invalid-custom-token": UnauthenticatedError,
+  "auth/custom-token-mismatch": UnauthenticatedError,
+  "auth/id-token-expired": UnauthenticatedError,
+  "auth/id-token-revoked": UnauthenticatedError,
+  "auth/user-token-expired": UnauthenticatedError,
+  "auth/user-disabled": ForbiddenError,
+  "auth/insufficient-permission": ForbiddenError,
+  "auth/operation-not-allowed": ForbiddenError,
+  "auth/email-already-in-use": ConflictError,
+  "auth/email-already-exists": ConflictError,
+  "auth/uid-already-exists": ConflictError,
+  "auth/phone-number-already-exists": ConflictError,
+  "auth/weak-password": InvalidInputError,
+  "auth/credential-already-in-use": ConflictError,
+  "auth/provider-already-linked": ConflictError,
+  "auth/account-exists-with-different-credential": ConflictError,
+  "auth/no-such-provider": InvalidInputError,
+  "auth/too-many-requests": UnavailableError,
+  "auth/network-request-failed": UnavailableError,
+  3: InvalidInputError,
+  4: UnavailableError,
+  5: NotFoundError,
+  6: ConflictError,
+  7: ForbiddenError,
+  8: UnavailableError,
+  9: ConflictError,
+  10: ConflictError,
+  11: InvalidInputError,
+  14: UnavailableError,
+  16: UnauthenticatedError,
+  400: InvalidInputError,
+  401: UnauthenticatedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  412: ConflictError,
+  429: UnavailableError,
+  503: UnavailableError
+};
+
+const mapFirebaseError = (err, message) => {
+  if (err instanceof ApolloError) return err;
+  const code = typeof err.code === "string" ? err.code.toLowerCase().replace(/_/g, '-') : err.code;
+  var ErrorClass = errorClasses[code];
+  if (!ErrorClass && typeof code === "string" && code.startsWith("auth/invalid-")) ErrorClass = InvalidInputError;
+  if (!ErrorClass) {
+    return new FirebaseDataSourceError(message || err.message, "INTERNAL_SERVER_ERROR", { cause: err });
+  };
+  return new ErrorClass(message || err.message, { cause: err });
+};
+
 const reservedClaims = ["acr", "amr", "at_hash", "aud", "auth_time", "azp", "cnf", "c_hash", "exp", "firebase", "iat", "iss", "jti", "nbf", "nonce", "sub"];
 
+const whereOperators = ["<", "<=", "==", "!=", ">=", ">", "in", "not-in", "array-contains", "array-contains-any"];
+const inequalityOperators = ["<", "<=", "!=", ">=", ">", "not-in"];
+const disjunctionOperators = ["in", "not-in", "array-contains-any"];
+const maxDisjunctionValues = 10;
+
+const encodeCursor = (values, id) => {
+  const encodedValues = values.map(value => value instanceof firebase.firestore.Timestamp
+    ? { __timestamp: [value.seconds, value.nanoseconds] }
+    : value);
+  return Buffer.from(JSON.stringify({ values: encodedValues, id })).toString('base64');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { values, id } = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    if (!Array.isArray(values) || typeof id !== "string") throw new Error();
+    return {
+      values: values.map(value => value && value.__timestamp
+        ? new firebase.firestore.Timestamp(...value.__timestamp)
+        : value),
+      id
+    };
+  } catch (e) {
+    throw new InvalidInputError(`Invalid cursor '${cursor}'.`);
+  }
+};
+
+const hookEvents = ["beforeCreate", "afterCreate", "beforeUpdate", "afterUpdate", "beforeDelete", "afterDelete", "beforeRead", "afterRead"];
+
+const writeOperations = ["addDocument", "updateDocument", "deleteDocument", "insertOrUpdateField", "removeField", "incrementFields", "addArrayElement", "removeArrayElement"];
+const maxBatchWrites = 500;
+const maxPurgeBatchSize = 500;
+var signInAppCount = 0;
+
+// Queue the writes staged on a transaction until every operation has read
+// what it needs, as a Firestore transaction must read before it writes.
+const deferredWriter = (transaction) => {
+  const writes = [];
+  return {
+    get: (documentReference) => transaction.get(documentReference),
+    set: (...write) => writes.push(["set", write]),
+    update: (...write) => writes.push(["update", write]),
+    delete: (...write) => writes.push(["delete", write]),
+    flush: () => writes.forEach(([method, write]) => transaction[method](...write))
+  };
+};
+
+const defaultConverters = {
+  timestamp: {
+    test: value => value instanceof firebase.firestore.Timestamp || value instanceof admin.firestore.Timestamp,
+    toGraphQL: value => value.toDate().toISOString(),
+    fromGraphQL: value => firebase.firestore.Timestamp.fromDate(new Date(value))
+  },
+  geopoint: {
+    test: value => value instanceof firebase.firestore.GeoPoint || value instanceof admin.firestore.GeoPoint,
+    toGraphQL: value => ({ lat: value.latitude, lng: value.longitude }),
+    fromGraphQL: value => new firebase.firestore.GeoPoint(value.lat, value.lng)
+  },
+  reference: {
+    test: value => value instanceof firebase.firestore.DocumentReference || value instanceof admin.firestore.DocumentReference,
+    toGraphQL: value => value.path,
+    fromGraphQL: (value, { db }) => db.doc(value)
+  },
+  bytes: {
+    test: value => value instanceof firebase.firestore.Blob || Buffer.isBuffer(value),
+    toGraphQL: value => Buffer.isBuffer(value) ? value.toString('base64') : value.toBase64(),
+    fromGraphQL: value => firebase.firestore.Blob.fromBase64String(value)
+  }
+};
+
+const collectionId = (collection) => collection.split('/').pop();
+
+const configForCollection = (config, collection) => config[collection] || config[collectionId(collection)];
+
+const parentIds = (path) => path.split('/').filter((segment, index, segments) => index % 2 === 1 && index < segments.length - 1);
+
+const isPlainObject = (value) => !!value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+const listenerIterator = (listen) => {
+  const values = [];
+  const waiting = [];
+  var error = null;
+  var done = false;
+  var unsubscribe = null;
+
+  const finish = () => {
+    if (done) return;
+    done = true;
+    if (unsubscribe) unsubscribe();
+    waiting.splice(0).forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+  };
+  const push = (value) => {
+    if (done) return;
+    if (waiting.length > 0) {
+      waiting.shift().resolve({ value, done: false });
+    } else {
+      values.push(value);
+    };
+  };
+  const fail = (err) => {
+    if (done) return;
+    if (waiting.length > 0) {
+      waiting.shift().reject(err);
+      finish();
+    } else {
+      error = err;
+      if (unsubscribe) unsubscribe();
+    };
+  };
+
+  unsubscribe = listen(push, fail);
+
+  return {
+    next() {
+      if (values.length > 0) return Promise.resolve({ value: values.shift(), done: false });
+      if (error) {
+        const err = error;
+        error = null;
+        finish();
+        return Promise.reject(err);
+      };
+      if (done) return Promise.resolve({ value: undefined, done: true });
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    return() {
+      finish();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    throw(err) {
+      finish();
+      return Promise.reject(err);
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+};
+
+const databaseRule = (rules, segments) => {
+  var match = null;
+  for (const pattern in rules) {
+    if (pattern === "*") continue;
+    const patternSegments = pattern.split('/').filter(segment => segment !== "");
+    if (patternSegments.length > segments.length || (match && patternSegments.length <= match.length)) continue;
+    const params = {};
+    const matches = patternSegments.every((segment, index) => {
+      if (segment.startsWith('$')) {
+        params[segment.slice(1)] = segments[index];
+        return true;
+      };
+      return segment === segments[index];
+    });
+    if (matches) match = { rule: rules[pattern], params, length: patternSegments.length };
+  };
+  if (match) return match;
+  return rules["*"] ? { rule: rules["*"], params: {} } : null;
+};
+
+const contentTypeAllowed = (allowedContentTypes, contentType) => {
+  if (!allowedContentTypes) return true;
+  if (!contentType) return false;
+  return allowedContentTypes.some(allowed => allowed.endsWith('/*')
+    ? contentType.startsWith(allowed.slice(0, -1))
+    : contentType === allowed);
+};
+
+const fileMetadata = (metadata) => ({
+  path: metadata.name,
+  bucket: metadata.bucket,
+  contentType: metadata.contentType,
+  size: Number(metadata.size),
+  md5Hash: metadata.md5Hash,
+  created: metadata.timeCreated,
+  updated: metadata.updated,
+  metadata: metadata.metadata || {}
+});
+
+const auditFields = ["createdAt", "createdBy", "updatedAt", "updatedBy"];
+
+const valuesEqual = (a, b) => {
+  if (a && typeof a.isEqual === "function") return a.isEqual(b);
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+const flattenFields = (document, prefix = "") => {
+  const fields = {};
+  for (const key in document) {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(document[key]) && Object.keys(document[key]).length > 0) {
+      Object.assign(fields, flattenFields(document[key], fieldPath));
+    } else {
+      fields[fieldPath] = document[key];
+    };
+  };
+  return fields;
+};
+
+const diffDocuments = (before, after) => {
+  const beforeFields = flattenFields(before || {});
+  const afterFields = flattenFields(after || {});
+  const fieldPaths = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])];
+  return fieldPaths
+    .filter(fieldPath => auditFields.indexOf(fieldPath) === -1)
+    .filter(fieldPath => !valuesEqual(beforeFields[fieldPath], afterFields[fieldPath]))
+    .map(field => ({
+      field,
+      before: beforeFields[field] === undefined ? null : beforeFields[field],
+      after: afterFields[field] === undefined ? null : afterFields[field]
+    }));
+};
+
+const withoutRequired = (schema) => {
+  if (Array.isArray(schema)) return schema.map(withoutRequired);
+  if (!schema || typeof schema !== "object") return schema;
+  const partialSchema = {};
+  for (const key in schema) {
+    if (key !== "required" || !Array.isArray(schema[key])) partialSchema[key] = withoutRequired(schema[key]);
+  };
+  return partialSchema;
+};
+
+// Data sources are usually constructed per request, so validators are
+// compiled once per schema object and option.
+const compiledSchemas = new WeakMap();
+
+const compileSchema = (schema, stripUnknown) => {
+  if (!compiledSchemas.has(schema)) compiledSchemas.set(schema, {});
+  const validators = compiledSchemas.get(schema);
+  const key = stripUnknown ? "stripUnknown" : "keepUnknown";
+  if (!validators[key]) {
+    const removeAdditional = stripUnknown ? "all" : false;
+    validators[key] = {
+      create: new Ajv({ allErrors: true, useDefaults: true, removeAdditional }).compile(schema),
+      update: new Ajv({ allErrors: true, removeAdditional }).compile(withoutRequired(schema))
+    };
+  };
+  return validators[key];
+};
+
+const adminValue = (value, firestore) => {
+  if (value instanceof firebase.firestore.Timestamp) return new admin.firestore.Timestamp(value.seconds, value.nanoseconds);
+  if (value instanceof firebase.firestore.GeoPoint) return new admin.firestore.GeoPoint(value.latitude, value.longitude);
+  if (value instanceof firebase.firestore.DocumentReference) return firestore.doc(value.path);
+  if (value instanceof firebase.firestore.Blob) return Buffer.from(value.toUint8Array());
+  if (Array.isArray(value)) return value.map(item => adminValue(item, firestore));
+  if (!isPlainObject(value)) return value;
+  const converted = {};
+  for (const key in value) {
+    converted[key] = adminValue(value[key], firestore);
+  };
+  return converted;
+};
+
+const encodeFirestoreValue = (value) => {
+  if (value instanceof admin.firestore.Timestamp) {
+    return { __type: "timestamp", seconds: value.seconds, nanoseconds: value.nanoseconds };
+  };
+  if (value instanceof admin.firestore.GeoPoint) {
+    return { __type: "geopoint", latitude: value.latitude, longitude: value.longitude };
+  };
+  if (value instanceof admin.firestore.DocumentReference) return { __type: "reference", path: value.path };
+  if (Buffer.isBuffer(value)) return { __type: "bytes", base64: value.toString('base64') };
+  if (Array.isArray(value)) return value.map(encodeFirestoreValue);
+  if (!isPlainObject(value)) return value;
+  const encoded = {};
+  for (const key in value) {
+    encoded[key] = encodeFirestoreValue(value[key]);
+  };
+  // Maps that have a field named __type are wrapped so they are not decoded as a type.
+  return "__type" in value ? { __type: "map", value: encoded } : encoded;
+};
+
+const decodeFirestoreValue = (value, firestore) => {
+  if (Array.isArray(value)) return value.map(item => decodeFirestoreValue(item, firestore));
+  if (!isPlainObject(value)) return value;
+  switch (value.__type) {
+    case "timestamp":
+      return new admin.firestore.Timestamp(value.seconds, value.nanoseconds);
+    case "geopoint":
+      return new admin.firestore.GeoPoint(value.latitude, value.longitude);
+    case "reference":
+      return firestore.doc(value.path);
+    case "bytes":
+      return Buffer.from(value.base64, 'base64');
+    case "map":
+      value = value.value;
+      break;
+    default:
+      break;
+  };
+  const decoded = {};
+  for (const key in value) {
+    decoded[key] = decodeFirestoreValue(value[key], firestore);
+  };
+  return decoded;
+};
+
+const writeLine = async (output, line) => {
+  if (!output.write(`${line}\n`)) await once(output, 'drain');
+};
+
+// The fields an access rule checks, or null when a predicate can check any field.
+const ruleFields = (rule) => {
+  if (typeof rule === "function") return null;
+  if (Array.isArray(rule)) {
+    const fields = rule.map(ruleFields);
+    return fields.indexOf(null) === -1 ? [].concat(...fields) : null;
+  };
+  return rule && rule.ownerField ? [rule.ownerField] : [];
+};
+
+const selectionFieldPaths = (selectionSet, fragments, prefix = "") => {
+  const fieldPaths = [];
+  (selectionSet ? selectionSet.selections : []).forEach(selection => {
+    if (selection.kind === "InlineFragment") {
+      fieldPaths.push(...selectionFieldPaths(selection.selectionSet, fragments, prefix));
+    } else if (selection.kind === "FragmentSpread") {
+      const fragment = fragments[selection.name.value];
+      if (fragment) fieldPaths.push(...selectionFieldPaths(fragment.selectionSet, fragments, prefix));
+    } else if (selection.kind === "Field" && !selection.name.value.startsWith("__")) {
+      const fieldPath = prefix ? `${prefix}.${selection.name.value}` : selection.name.value;
+      const nestedFieldPaths = selectionFieldPaths(selection.selectionSet, fragments, fieldPath);
+      fieldPaths.push(...(nestedFieldPaths.length > 0 ? nestedFieldPaths : [fieldPath]));
+    };
+  });
+  return fieldPaths;
+};
+
+const maxUserBatchSize = 1000;
+
+const parseUserClaims = (user) => {
+  for (const property in user.customClaims) {
+    user.customClaims[property] = tryParseBool(user.customClaims[property]);
+  };
+  return user;
+};
+
+const userMatches = (user, { email, claims } = {}) => {
+  if (email && (!user.email || user.email.toLowerCase().indexOf(email.toLowerCase()) === -1)) return false;
+  for (const key in claims) {
+    if (!user.customClaims || user.customClaims[key] !== claims[key]) return false;
+  };
+  return true;
+};
+
+const toBuffer = (value) => typeof value === "string" ? Buffer.from(value, 'base64') : value;
+
+// Circuit breakers are kept per app name, so every request's data source
+// sees the failures of the others.
+const circuits = new Map();
+
+const transientErrorCodes = ["unavailable", "deadline-exceeded", "aborted", "resource-exhausted", "auth/network-request-failed", 4, 8, 10, 14];
+
+const isTransientError = (err) => {
+  if (err instanceof UnavailableError) return true;
+  const code = err && typeof err.code === "string" ? err.code.toLowerCase().replace(/_/g, '-') : err && err.code;
+  return transientErrorCodes.indexOf(code) !== -1;
+};
+
+const withTimeout = (promise, timeout, operation) => {
+  if (!timeout) return promise;
+  var timer;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new UnavailableError(`Function ${operation} timed out after ${timeout} ms.`)), timeout);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const minSessionExpiresIn = 5 * 60 * 1000;
+const maxSessionExpiresIn = 14 * 24 * 60 * 60 * 1000;
+
+const parseCookies = (header) => {
+  const cookies = {};
+  (header || "").split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (e) {
+        cookies[name] = pair.slice(index + 1).trim();
+      };
+    };
+  });
+  return cookies;
+};
+
+const serializeCookie = (name, value, { maxAge, path, domain, secure, sameSite }) => [
+  `${name}=${encodeURIComponent(value)}`,
+  `Max-Age=${Math.floor(maxAge / 1000)}`,
+  path ? `Path=${path}` : null,
+  domain ? `Domain=${domain}` : null,
+  "HttpOnly",
+  secure ? "Secure" : null,
+  sameSite ? `SameSite=${sameSite.charAt(0).toUpperCase()}${sameSite.slice(1)}` : null
+].filter(Boolean).join('; ');
+
+const idTokenClaims = ["email", "email_verified", "name", "phone_number", "picture", "uid", "user_id"];
+
+const assertAppProject = (app, projectId) => {
+  const appProjectId = app.options.projectId || (app.options.credential && app.options.credential.projectId);
+  if (projectId && appProjectId && appProjectId !== projectId) {
+    throw new InvalidInputError(`The Firebase app '${app.name}' is already initialized for project '${appProjectId}'. Pass an appName to use project '${projectId}'.`);
+  };
+};
+
 class FirebaseDataSource extends DataSource {
 
-  constructor({ firebaseOptions, serviceAccount, databaseURL }) {
+  constructor({
+    firebaseOptions,
+    serviceAccount,
+    databaseURL,
+    appName = "[DEFAULT]",
+    tenantResolver = null,
+    tenants = null,
+    checkRevoked = false,
+    sessionCookie = {},
+    resilience = {},
+    accessRules = {},
+    schemas = {},
+    converters = {},
+    fieldTypes = {},
+    models = {},
+    storageOptions = {},
+    databaseOptions = {},
+    softDelete = {},
+    audit = {},
+    hooks = {}
+  }) {
     super();
 
     this.context;
-    this.cache;
+    this.cache = new Map();
+    this.pendingDocumentLoads = new Map();
     this.activeUser;
+    this.tenantId = null;
 
-    if (!firebase.apps.length) {
-      firebase.initializeApp(firebaseOptions);
+    this.appName = appName;
+    this.firebaseOptions = firebaseOptions;
+    this.tenantResolver = tenantResolver;
+    this.tenants = tenants;
+    if (tenantResolver && !Array.isArray(tenants)) {
+      throw new InvalidInputError('Pass the ids of the tenants that the tenantResolver can return in tenants.');
     };
 
-    if (!admin.apps.length) {
-      admin.initializeApp({
+    this.app = firebase.apps.find(app => app.name === appName);
+    if (!this.app) {
+      this.app = firebase.initializeApp(firebaseOptions, appName);
+    } else {
+      assertAppProject(this.app, firebaseOptions && firebaseOptions.projectId);
+    };
+
+    this.adminApp = admin.apps.find(app => app && app.name === appName);
+    if (!this.adminApp) {
+      this.adminApp = admin.initializeApp({
         credential: admin.credential.cert(serviceAccount),
-        databaseURL
-      });
+        databaseURL,
+        storageBucket: firebaseOptions && firebaseOptions.storageBucket
+      }, appName);
+    } else {
+      assertAppProject(this.adminApp, serviceAccount && (serviceAccount.project_id || serviceAccount.projectId));
     };
 
     if (!this.db) {
-      this.db = firebase.firestore();
+      this.db = this.app.firestore();
     };
 
     if (!this.auth) {
-      this.auth = firebase.auth;
+      this.auth = () => this.clientApp().auth();
+    };
+
+    this.checkRevoked = checkRevoked;
+
+    this.accessRules = accessRules;
+
+    this.storageOptions = {
+      rules: {},
+      maxFileSize: null,
+      allowedContentTypes: null,
+      urlExpiresIn: 15 * 60 * 1000,
+      ...storageOptions
+    };
+
+    this.databaseOptions = {
+      rules: {},
+      ...databaseOptions
+    };
+
+    this.softDelete = softDelete;
+
+    this.audit = audit;
+
+    this.hooks = {};
+    for (const collection in hooks) {
+      for (const event in hooks[collection]) {
+        [].concat(hooks[collection][event]).forEach(hook => this.addHook(collection, event, hook));
+      };
+    };
+
+    this.converters = { ...defaultConverters, ...converters };
+    this.fieldTypes = fieldTypes;
+    this.models = models;
+
+    this.schemaValidators = {};
+    for (const collection in schemas) {
+      const { schema, stripUnknown = false } = schemas[collection];
+      this.schemaValidators[collection] = compileSchema(schema, stripUnknown);
+    };
+
+    this.resilience = {
+      timeout: 10000,
+      timeouts: {},
+      maxRetries: 3,
+      baseDelay: 100,
+      maxDelay: 2000,
+      failureThreshold: 5,
+      resetTimeout: 30000,
+      onRetry: null,
+      onCircuitOpen: null,
+      ...resilience
+    };
+
+    this.sessionCookie = {
+      name: "session",
+      expiresIn: 5 * 24 * 60 * 60 * 1000,
+      path: "/",
+      secure: true,
+      sameSite: "lax",
+      ...sessionCookie
     };
 
     this.defaultCustomClaims = {
@@ -65,870 +687,4888 @@ class FirebaseDataSource extends DataSource {
 
   async initialize(config) {
     this.context = config.context;
+    this.cache = new Map();
+    this.pendingDocumentLoads = new Map();
+    this.tenantId = this.tenantResolver
+      ? (await this.tenantResolver({ request: config.context.request, context: config.context })) || null
+      : null;
+    if (this.tenantId && this.tenants.indexOf(this.tenantId) === -1) {
+      this.activeUser = { errors: [new ForbiddenError(`Unknown tenant '${this.tenantId}'.`)] };
+      this.tenantId = null;
+      return;
+    };
     this.activeUser = await this.retrieveUserFromRequest(config.context.request);
   };
 
   /* HELPER FUNCTIONS */
 
-  /** Get the active user's credentials from the request object.
+  /** Call Firestore or Auth with a timeout, retries and a circuit breaker.
+   *
+   * Calls time out after the `timeout` of the `resilience` constructor
+   * option, or the entry for the operation in its `timeouts`. Transient
+   * errors (unavailable, deadline exceeded, aborted and resource exhausted)
+   * are retried with exponential backoff and full jitter, but only for
+   * idempotent calls, so a retried write cannot be applied twice. After
+   * `failureThreshold` transient errors in a row the circuit opens and calls
+   * fail fast for `resetTimeout` milliseconds, after which one call is let
+   * through to test whether Firebase is back. Other calls keep failing fast
+   * until that call has finished.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
-   *  const users = await retrieveUserFromRequest(req);
-   * 
+   *
+   *  const documentSnapshot = await callFirebase("getDocumentById", () => documentReference.get(), { idempotent: true });
+   *
    * ```
    *
-   * @param req the request object.
-   * @return active user.
+   * @param operation the name of the data source method making the call.
+   * @param fn a function that makes the call and returns its promise.
+   * @param options set idempotent when the call can safely be repeated.
+   * @return the result of the call.
    */
-  async retrieveUserFromRequest(req) {
-    var errors = [];
-    var activeUser = {};
-    const token = req.headers['x-token'];
-    if (token) {
-      var activeUser = await this.retrieveUserFromToken(token);
-    } else {
-      errors.push(new Error("The request has no token in the headers to verify."));
+  async callFirebase(operation, fn, { idempotent = false } = {}) {
+    const { timeout, timeouts, maxRetries, baseDelay, maxDelay, failureThreshold, resetTimeout, onRetry, onCircuitOpen } = this.resilience;
+    if (!circuits.has(this.appName)) circuits.set(this.appName, { failures: 0, openedAt: null, probing: false });
+    const circuit = circuits.get(this.appName);
+    var probe = false;
+    if (circuit.openedAt !== null) {
+      if (circuit.probing || Date.now() - circuit.openedAt < resetTimeout) {
+        throw new UnavailableError(`Firebase is unavailable, function ${operation} failed fast.`);
+      };
+      // Half open: only this call goes through, and a transient error opens the circuit again.
+      circuit.probing = true;
+      circuit.failures = Math.max(failureThreshold - 1, 0);
+      probe = true;
+    };
+    try {
+      for (var attempt = 1; ; attempt++) {
+        try {
+          const result = await withTimeout(fn(), timeouts[operation] || timeout, operation);
+          circuit.failures = 0;
+          circuit.openedAt = null;
+          return result;
+        } catch (err) {
+          if (!isTransientError(err)) {
+            circuit.failures = 0;
+            circuit.openedAt = null;
+            throw err;
+          };
+          circuit.failures++;
+          if (failureThreshold > 0 && circuit.failures >= failureThreshold) {
+            circuit.openedAt = Date.now();
+            if (onCircuitOpen) onCircuitOpen({ operation, error: err });
+            throw err;
+          };
+          if (!idempotent || attempt > maxRetries) throw err;
+          const delay = Math.random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+          if (onRetry) onRetry({ operation, attempt, delay, error: err });
+          await sleep(delay);
+        };
+      };
+    } finally {
+      if (probe) circuit.probing = false;
     };
-    if (errors.length > 0) activeUser = { errors };
-    return activeUser;
   };
 
-  /** Get the active user's credentials from a token.
+  /** Get the client app for the active tenant.
+   *
+   * Each Identity Platform tenant gets its own client app, so signing in to
+   * one tenant never changes the auth state of another. Tenant ids from the
+   * `tenantResolver` and from verified tokens are checked against `tenants`
+   * first, so requests cannot create apps for arbitrary tenants.
+   *
+   * @webonly
+   *
+   * @return firebase client app.
+   */
+  clientApp() {
+    if (!this.tenantId) return this.app;
+    const tenantAppName = `${this.appName}[${this.tenantId}]`;
+    var tenantApp = firebase.apps.find(app => app.name === tenantAppName);
+    if (!tenantApp) {
+      tenantApp = firebase.initializeApp(this.firebaseOptions || this.app.options, tenantAppName);
+      tenantApp.auth().tenantId = this.tenantId;
+    };
+    return tenantApp;
+  };
+
+  /** Get the Admin SDK auth for the active tenant.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
-   *  const users = await retrieveUserFromToken(token);
-   * 
+   *
+   *  const user = await adminAuth().getUser(uid);
+   *
    * ```
    *
-   * @param token the authentication token object.
-   * @return active user.
+   * @return admin auth, tenant aware when a tenant is active.
    */
-  async retrieveUserFromToken(token) {
-    var errors = [];
-    var activeUser = {};
-    if (token) {
-      try {
-        const userCredential = await this.auth().signInWithCustomToken(token);
-        const idTokenResult = await userCredential.user.getIdTokenResult();
-        var claims;
-        for (const key in idTokenResult.claims) {
-          if (reservedClaims.indexOf(key) === -1) {
-            claims = { ...claims, [key]: tryParseBool(idTokenResult.claims[key]) };
-          };
-        };
-        if (!('admin' in claims)) claim = { ...claims, admin: false };
-        activeUser = {
-          ...userCredential.user.toJSON(),
-          customClaims: claims,
-          token
-        };
+  adminAuth() {
+    const auth = this.adminApp.auth();
+    return this.tenantId ? auth.tenantManager().authForTenant(this.tenantId) : auth;
+  };
 
-      } catch (e) {
-        errors.push(new Error('Could not validate user from token.'));
+  /** Load a document through the per-request document cache.
+   *
+   * Every call made in the same tick is queued and dispatched as one
+   * document id query per collection and ten ids. The resulting promise is
+   * memoized until the data source is initialized for the next request.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const document = await loadDocument("users", "Van4Tij98lKfbOKP0");
+   *
+   * ```
+   *
+   * @param collection the name of the collection.
+   * @param id the id of the document.
+   * @return Object representation of a document or null.
+   */
+  loadDocument(collection, id) {
+    const key = `${collection}/${id}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const promise = new Promise((resolve, reject) => {
+      if (this.pendingDocumentLoads.size === 0) {
+        process.nextTick(() => this.dispatchDocumentLoads());
       };
-    } else {
-      errors.push(new Error("No token has been supplied to verify."));
-    };
-    if (errors.length > 0) activeUser = { errors };
-    return activeUser;
+      if (!this.pendingDocumentLoads.has(collection)) {
+        this.pendingDocumentLoads.set(collection, new Map());
+      };
+      const pending = this.pendingDocumentLoads.get(collection);
+      if (!pending.has(id)) pending.set(id, []);
+      pending.get(id).push({ resolve, reject });
+    });
+    promise.catch(() => this.cache.delete(key));
+    this.cache.set(key, promise);
+    return promise;
   };
 
-  /* AUTH AND ADMIN FUNCTIONS */
+  /** Load only some fields of a document, bypassing the document cache.
+   *
+   * The owner fields of the collection's read rule and `deletedAt` are also
+   * read, so access and soft deletes can be checked. A read rule with a
+   * predicate function can look at any field, so then the whole document is
+   * loaded through the cache instead.
+   *
+   * @webonly
+   *
+   * @param collection the path of the collection.
+   * @param id the id of the document.
+   * @param select the field paths to read.
+   * @return Object representation of a document or null.
+   */
+  async loadProjectedDocument(collection, id, select) {
+    const collectionRules = configForCollection(this.accessRules, collection) || this.accessRules["*"] || {};
+    const readFields = ruleFields(collectionRules.read);
+    if (readFields === null) return this.loadDocument(collection, id);
+    const firestore = this.adminApp.firestore();
+    const fieldMask = [...new Set([...select, ...readFields, ...(this.isSoftDeleted(collection) ? ["deletedAt"] : [])])];
+    const [documentSnapshot] = await this.callFirebase("loadProjectedDocument", () => firestore.getAll(this.collectionReference(collection, firestore).doc(id), { fieldMask }), { idempotent: true });
+    return documentSnapshot.exists
+      ? this.toGraphQLDocument(collection, { id: documentSnapshot.id, ...documentSnapshot.data() })
+      : null;
+  };
+
+  /** Fetch every queued document load with document id queries.
+   *
+   * The queries run with the client SDK like the other reads, so Firestore
+   * security rules apply to them. An `in` filter takes at most ten values,
+   * so the ids of a collection are fetched ten at a time.
+   *
+   * @webonly
+   *
+   * @return nothing.
+   */
+  async dispatchDocumentLoads() {
+    const batches = this.pendingDocumentLoads;
+    this.pendingDocumentLoads = new Map();
+    const chunks = [];
+    batches.forEach((pending, collection) => {
+      const ids = [...pending.keys()];
+      for (var start = 0; start < ids.length; start += maxDisjunctionValues) {
+        chunks.push({ collection, pending, ids: ids.slice(start, start + maxDisjunctionValues) });
+      };
+    });
+    await Promise.all(chunks.map(async ({ collection, pending, ids }) => {
+      try {
+        const queryRef = this.collectionReference(collection).where(firebase.firestore.FieldPath.documentId(), "in", ids);
+        const querySnapshot = await this.callFirebase("dispatchDocumentLoads", () => queryRef.get(), { idempotent: true });
+        const documents = new Map(querySnapshot.docs.map(documentSnapshot => [
+          documentSnapshot.id,
+          this.toGraphQLDocument(collection, { id: documentSnapshot.id, ...documentSnapshot.data() })
+        ]));
+        ids.forEach(id => pending.get(id).forEach(({ resolve }) => resolve(documents.get(id) || null)));
+      } catch (err) {
+        ids.forEach(id => pending.get(id).forEach(({ reject }) => reject(err)));
+      };
+    }));
+  };
+
+  /** Store a known document in the per-request document cache.
+   *
+   * @webonly
+   *
+   * @param collection the name of the collection.
+   * @param id the id of the document.
+   * @param document the document, or null when it no longer exists.
+   * @return nothing.
+   */
+  primeDocument(collection, id, document) {
+    this.cache.set(`${collection}/${id}`, Promise.resolve(document));
+  };
+
+  /** Remove a document from the per-request document cache.
+   *
+   * @webonly
+   *
+   * @param collection the name of the collection.
+   * @param id the id of the document.
+   * @return nothing.
+   */
+  clearDocument(collection, id) {
+    this.cache.delete(`${collection}/${id}`);
+  };
+
+  /** Register a hook to run around operations on a collection.
+   *
+   * Hooks for the `*` collection run for every collection, before the hooks
+   * of the collection itself, and hooks run in the order they were added.
+   * Each hook receives the collection, the event, the active user, the
+   * request context and the event's payload:
+   *
+   * - `beforeCreate` and `beforeUpdate` get the `id`, the `operation` and
+   *   the input `data`, and can return new data to write. For the map, array
+   *   and increment helpers and `restoreDocument`, `data` holds the field
+   *   writes, including Firestore sentinels, and cannot be replaced.
+   * - `beforeDelete` gets the `id` and the `operation`, and runs for every
+   *   document that a bulk or recursive delete removes.
+   * - `beforeRead` gets the `id` of a document, or the `filterOptions` of a
+   *   query, which it can return changed.
+   * - `afterCreate` and `afterUpdate` get the `id`, the `operation` and the
+   *   written `data` after validation, `afterDelete` gets the `id` and the
+   *   `operation`.
+   * - `afterRead` gets the `id` and `document`, and can return a new document.
+   *   It also runs for each event of a subscription.
+   *
+   * A hook vetoes an operation by throwing an error, such as a
+   * `ForbiddenError` or `InvalidInputError`. After hooks run once the write
+   * has happened, so their errors fail the call without undoing the write.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  addHook("posts", "beforeCreate", ({ data }) => ({ ...data, slug: slugify(data.title) }));
+   *  addHook("posts", "afterDelete", ({ id }) => searchIndex.remove(id));
+   *
+   * ```
+   *
+   * @param collection the path of the collection, or `*` for every collection.
+   * @param event the event to run the hook on.
+   * @param hook the hook function, which may be async.
+   * @return the data source, so registrations can be chained.
+   */
+  addHook(collection, event, hook) {
+    if (hookEvents.indexOf(event) === -1) {
+      throw new InvalidInputError(`Unknown hook event '${event}'.`);
+    };
+    if (typeof hook !== "function") {
+      throw new InvalidInputError(`The ${event} hook for '${collection}' must be a function.`);
+    };
+    if (!this.hooks[collection]) this.hooks[collection] = {};
+    if (!this.hooks[collection][event]) this.hooks[collection][event] = [];
+    this.hooks[collection][event].push(hook);
+    return this;
+  };
+
+  /** Run the hooks registered for an event on a collection.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  data = await runHooks("posts", "beforeCreate", { data }, "data");
+   *
+   * ```
+   *
+   * @param collection the path of the collection.
+   * @param event the event.
+   * @param payload the values passed to the hooks.
+   * @param key the payload value that hooks can replace by returning a value.
+   * @return the payload value named by key, or nothing.
+   */
+  async runHooks(collection, event, payload, key) {
+    const collectionHooks = collection === "*" ? null : configForCollection(this.hooks, collection);
+    const hooks = [
+      ...((this.hooks["*"] || {})[event] || []),
+      ...((collectionHooks || {})[event] || [])
+    ];
+    for (const hook of hooks) {
+      const result = await hook({ ...payload, collection, event, activeUser: this.activeUser, context: this.context });
+      if (key && result !== undefined) payload = { ...payload, [key]: result };
+    };
+    return key ? payload[key] : undefined;
+  };
+
+  /** Run the afterRead hooks on each of a list of documents.
+   *
+   * @webonly
+   *
+   * @param collection the path of the collection.
+   * @param documents the documents that were read.
+   * @return the documents returned by the hooks.
+   */
+  async afterRead(collection, documents) {
+    return Promise.all(documents.map(document => this.runHooks(collection, "afterRead", { id: document.id, document }, "document")));
+  };
+
+  /** Run the hooks for an event on each of a list of document paths.
+   *
+   * The hooks of each document's own collection are run, so documents in
+   * nested subcollections run the hooks registered for those.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  await runPathHooks("beforeDelete", ["users/u1/orders/o1", "users/u1"], { operation: "deleteDocumentRecursive" });
+   *
+   * ```
+   *
+   * @param event the event.
+   * @param paths the paths of the documents.
+   * @param payload the values passed to the hooks besides the id.
+   * @return nothing.
+   */
+  async runPathHooks(event, paths, payload = {}) {
+    for (const path of paths) {
+      const segments = path.split('/');
+      const id = segments.pop();
+      await this.runHooks(segments.join('/'), event, { ...payload, id });
+    };
+  };
+
+  /** Enforce the access rule for an operation on documents by path.
+   *
+   * Recursive deletes remove nested documents with the Admin SDK, so each
+   * document is checked against the rule of its own collection before
+   * anything is deleted. Paths without a document only hold subcollections
+   * and are skipped.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  await assertPathsAccess("delete", await documentTreePaths("users/3yXfDg56UilE2Wq"));
+   *
+   * ```
+   *
+   * @param operation read, update or delete.
+   * @param paths the paths of the documents.
+   * @return nothing.
+   */
+  async assertPathsAccess(operation, paths) {
+    const references = paths.map(path => {
+      const segments = path.split('/');
+      const id = segments.pop();
+      return { collection: segments.join('/'), id };
+    });
+    const documents = await Promise.all(references.map(({ collection, id }) => this.loadDocument(collection, id)));
+    for (var index = 0; index < references.length; index++) {
+      if (!documents[index]) continue;
+      const { collection, id } = references[index];
+      await this.assertAccess(collection, operation, { id, document: documents[index] });
+    };
+  };
+
+  /** Build the field writes of the map, array and increment helpers.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const data = fieldWrites("users", "addArrayElement", { arrayField: "tags", arrayValue: "new" });
+   *
+   * ```
+   *
+   * @param collection the path of the collection.
+   * @param operation the name of the helper, e.g. "incrementFields".
+   * @param args the arguments of the helper.
+   * @return the fields to write, with Firestore sentinel values.
+   */
+  fieldWrites(collection, operation, args) {
+    switch (operation) {
+      case "insertOrUpdateField":
+        return { [args.fieldName]: { [args.key]: this.fromGraphQLValue(collection, `${args.fieldName}.${args.key}`, args.value) } };
+      case "removeField":
+        return { [args.fieldName]: { [args.key]: firebase.firestore.FieldValue.delete() } };
+      case "incrementFields": {
+        let data = {};
+        args.fieldsAndValues.forEach(kvp => {
+          this.createNestedObject(data, kvp.fieldName.split("."), kvp.value);
+        });
+        return data;
+      }
+      case "addArrayElement":
+        return { [args.arrayField]: firebase.firestore.FieldValue.arrayUnion(this.fromGraphQLValue(collection, args.arrayField, args.arrayValue)) };
+      case "removeArrayElement":
+        return { [args.arrayField]: firebase.firestore.FieldValue.arrayRemove(this.fromGraphQLValue(collection, args.arrayField, args.arrayValue)) };
+      default:
+        throw new InvalidInputError(`Operation '${operation}' cannot be staged.`);
+    };
+  };
+
+  /** Get a reference to a collection or nested subcollection.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const ordersReference = collectionReference("users/4FVas9I0oTran87Hjf/orders");
+   *
+   * ```
+   *
+   * @param collection the path of the collection.
+   * @param firestore the firestore instance, the client firestore by default.
+   * @return collection reference.
+   */
+  collectionReference(collection, firestore = this.db) {
+    const segments = typeof collection === "string" ? collection.split('/') : [];
+    if (segments.length === 0 || segments.some(segment => segment === "")) {
+      throw new InvalidInputError(`Invalid collection path '${collection}'.`);
+    };
+    if (segments.length % 2 === 0) {
+      throw new InvalidInputError(`Invalid collection path '${collection}': a collection path must have an odd number of segments.`);
+    };
+    return firestore.collection(collection);
+  };
+
+  /** List the paths of a document and everything nested under it.
+   *
+   * Subcollections are listed with the Admin SDK, which also finds documents
+   * that have no fields of their own but do have subcollections.
+   *
+   * @webonly
+   *
+   * @param path the path of the document.
+   * @return Array of document paths, deepest first.
+   */
+  async documentTreePaths(path) {
+    const firestore = this.adminApp.firestore();
+    const paths = [];
+    const collectionReferences = await this.callFirebase("documentTreePaths", () => firestore.doc(path).listCollections(), { idempotent: true });
+    for (const collectionReference of collectionReferences) {
+      const documentReferences = await this.callFirebase("documentTreePaths", () => collectionReference.listDocuments(), { idempotent: true });
+      for (const documentReference of documentReferences) {
+        paths.push(...(await this.documentTreePaths(documentReference.path)));
+      };
+    };
+    paths.push(path);
+    return paths;
+  };
+
+  /** Write items in batches that stay under Firestore's write limit.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  await commitInChunks(this.db, paths, (writeBatch, path) => writeBatch.delete(this.db.doc(path)));
+   *
+   * ```
+   *
+   * @param firestore the firestore instance to create the batches with.
+   * @param items the items to write.
+   * @param stage a function that stages the write of one item on a batch.
+   * @return nothing.
+   */
+  async commitInChunks(firestore, items, stage) {
+    for (var start = 0; start < items.length; start += maxBatchWrites) {
+      const writeBatch = firestore.batch();
+      items.slice(start, start + maxBatchWrites).forEach(item => stage(writeBatch, item));
+      await this.callFirebase("commitInChunks", () => writeBatch.commit(), { idempotent: true });
+    };
+  };
+
+  /** Run a count, sum or average over the documents matched by a query.
+   *
+   * The aggregation runs in Firestore, so no documents are downloaded. Sum
+   * and average ignore values that are not numbers.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const queryRef = buildQuery("orders", filterOptions, { admin: true });
+   *  const total = await aggregateQuery(queryRef, "sum", "total");
+   *
+   * ```
+   *
+   * @param queryRef an Admin SDK query reference.
+   * @param operation count, sum or average.
+   * @param field the path of the field to sum or average.
+   * @return the result, zero when no documents match.
+   */
+  async aggregateQuery(queryRef, operation, field) {
+    const { AggregateField } = admin.firestore;
+    const aggregateField = operation === "count" ? AggregateField.count() : AggregateField[operation](field);
+    const aggregateSnapshot = await this.callFirebase("aggregateQuery", () => queryRef.aggregate({ result: aggregateField }).get(), { idempotent: true });
+    return aggregateSnapshot.data().result || 0;
+  };
+
+  /** Build a query on a collection from filter options.
+   *
+   * The where clauses are validated against Firestore's query rules before
+   * the query is built, so an invalid filter fails with a clear message
+   * instead of an error from Firestore.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const filterOptions = {
+   *    orderBy: "age,lastName",
+   *    sortOrder: "desc,asc",
+   *    where: [
+   *      { fieldName: "active", operator: "==", value: false },
+   *      { fieldName: "address.city", operator: "in", value: ["Paris", "Rome"] },
+   *      { fieldName: "age", operator: ">=", value: 18 }
+   *    ]
+   *  }
+   *  const queryRef = buildQuery("users", filterOptions);
+   *
+   * ```
+   *
+   * @param collection the path of the collection, or the collection id for a collection group.
+   * @param filterOptions the orderBy, sortOrder and where options.
+   * @param options set collectionGroup to query every collection with this id, select to only read these field paths, and admin to query with the Admin SDK.
+   * @return query reference.
+   */
+  buildQuery(collection, filterOptions, { collectionGroup = false, select, admin: useAdmin = !!select } = {}) {
+    const orderByFields = filterOptions.orderBy && filterOptions.orderBy !== ""
+      ? filterOptions.orderBy.split(',').map(item => item.trim())
+      : [];
+    const whereClauses = (filterOptions.where || [])
+      .map(item => ({ ...item, fieldName: item.fieldName || item.field }))
+      .filter(item => item.fieldName && item.fieldName !== "");
+
+    var inequalityField = null;
+    var disjunctionOperator = null;
+    var arrayContains = false;
+    var notEqual = false;
+    whereClauses.forEach(item => {
+      const fieldName = Array.isArray(item.fieldName) ? item.fieldName.join('.') : item.fieldName;
+      if (whereOperators.indexOf(item.operator) === -1) {
+        throw new InvalidInputError(`Invalid filter on '${fieldName}': operator '${item.operator}' is not supported.`);
+      };
+      if (item.value === undefined) {
+        throw new InvalidInputError(`Invalid filter on '${fieldName}': a value is required.`);
+      };
+      if (inequalityOperators.indexOf(item.operator) !== -1) {
+        if (inequalityField && inequalityField !== fieldName) {
+          throw new InvalidInputError(`Invalid filter on '${fieldName}': inequality filters are already applied to '${inequalityField}'.`);
+        };
+        inequalityField = fieldName;
+      };
+      if (disjunctionOperators.indexOf(item.operator) !== -1) {
+        if (!Array.isArray(item.value) || item.value.length === 0) {
+          throw new InvalidInputError(`Invalid filter on '${fieldName}': operator '${item.operator}' requires a non-empty array value.`);
+        };
+        if (item.value.length > maxDisjunctionValues) {
+          throw new InvalidInputError(`Invalid filter on '${fieldName}': operator '${item.operator}' supports up to ${maxDisjunctionValues} values.`);
+        };
+        if (disjunctionOperator) {
+          throw new InvalidInputError(`Invalid filter on '${fieldName}': operator '${item.operator}' cannot be combined with '${disjunctionOperator}'.`);
+        };
+        disjunctionOperator = item.operator;
+      };
+      if (item.operator === "array-contains" || item.operator === "array-contains-any") {
+        if (arrayContains) {
+          throw new InvalidInputError(`Invalid filter on '${fieldName}': only one array-contains filter is allowed per query.`);
+        };
+        arrayContains = true;
+      };
+      if (item.operator === "!=" || item.operator === "not-in") {
+        if (notEqual) {
+          throw new InvalidInputError(`Invalid filter on '${fieldName}': '!=' and 'not-in' cannot be combined.`);
+        };
+        notEqual = true;
+      };
+    });
+    if (inequalityField && orderByFields.length > 0 && orderByFields[0] !== inequalityField) {
+      throw new InvalidInputError(`Invalid filter: the first orderBy field must be '${inequalityField}' when it has an inequality filter.`);
+    };
+
+    // Projections are only supported by the Admin SDK.
+    const firestore = useAdmin ? this.adminApp.firestore() : this.db;
+    const FieldPath = useAdmin ? admin.firestore.FieldPath : firebase.firestore.FieldPath;
+    var queryRef;
+    if (collectionGroup) {
+      if (typeof collection !== "string" || collection === "" || collection.indexOf('/') !== -1) {
+        throw new InvalidInputError(`Invalid collection group '${collection}': a collection group must be a collection id.`);
+      };
+      queryRef = firestore.collectionGroup(collection);
+    } else {
+      queryRef = this.collectionReference(collection, firestore);
+    };
+    whereClauses.forEach(item => {
+      const fieldPath = Array.isArray(item.fieldName)
+        ? new FieldPath(...item.fieldName)
+        : item.fieldName;
+      const fieldName = Array.isArray(item.fieldName) ? item.fieldName.join('.') : item.fieldName;
+      const value = this.fromGraphQLValue(collection, fieldName, item.value);
+      queryRef = queryRef.where(fieldPath, item.operator, useAdmin ? adminValue(value, firestore) : value);
+    });
+    const sortOrderArray = (filterOptions.sortOrder || "").split(',');
+    orderByFields.forEach((item, index) => {
+      queryRef = queryRef.orderBy(item, sortOrderArray[index] ? sortOrderArray[index].trim() : "asc");
+    });
+    if (select) {
+      // Page cursors start after a snapshot, which needs its orderBy values.
+      queryRef = queryRef.select(...new Set([...select, ...orderByFields]));
+    };
+    return queryRef;
+  };
+
+  /** Evaluate an access rule for an operation on a collection.
+   *
+   * A rule is a boolean, a predicate function, an object of requirements
+   * (`claims` that must match the active user's custom claims and an
+   * `ownerField` that must hold the active user's uid) or an array of rules
+   * of which any one must pass. For list operations an ownership rule cannot
+   * be checked per document, so the owner field is returned and the query
+   * is constrained to it instead.
+   *
+   * @webonly
+   *
+   * @param rule the access rule.
+   * @param request the collection, operation, id, document and data being accessed.
+   * @return true, false or an object with the owner field to constrain a query to.
+   */
+  async checkAccessRule(rule, request) {
+    if (rule === undefined || rule === null) return true;
+    if (typeof rule === "boolean") return rule;
+    if (typeof rule === "function") {
+      return !!(await rule({ ...request, activeUser: this.activeUser, context: this.context }));
+    };
+    if (Array.isArray(rule)) {
+      var constrained = false;
+      for (const item of rule) {
+        const result = await this.checkAccessRule(item, request);
+        if (result === true) return true;
+        if (result) constrained = result;
+      };
+      return constrained;
+    };
+    const customClaims = this.activeUser.customClaims || {};
+    for (const key in rule.claims) {
+      if (customClaims[key] !== rule.claims[key]) return false;
+    };
+    if (rule.ownerField) {
+      const { operation, document, data } = request;
+      const uid = this.activeUser.uid;
+      if (operation === "list") return { ownerField: rule.ownerField };
+      if (data && typeof data === "object" && rule.ownerField in data && data[rule.ownerField] !== uid) return false;
+      return document
+        ? document[rule.ownerField] === uid
+        : !!data && data[rule.ownerField] === uid;
+    };
+    return true;
+  };
+
+  /** Enforce the configured access rule for an operation on a collection.
+   *
+   * Rules are configured per collection and operation (read, list, create,
+   * update or delete) with the `accessRules` constructor option. A `*`
+   * collection applies to collections without rules of their own.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const accessRules = {
+   *    orders: {
+   *      read: [{ claims: { admin: true } }, { ownerField: "ownerUid" }],
+   *      list: { ownerField: "ownerUid" },
+   *      create: { ownerField: "ownerUid" },
+   *      update: ({ activeUser, document }) => document.status === "open",
+   *      delete: { claims: { admin: true } }
+   *    }
+   *  }
+   *  await assertAccess("orders", "update", { id: "3yXfDg56UilE2Wq" });
+   *
+   * ```
+   *
+   * @param collection the name of the collection.
+   * @param operation read, list, create, update or delete.
+   * @param options the id, document and data being accessed.
+   * @return true or an object with the owner field to constrain a query to.
+   */
+  async assertAccess(collection, operation, { id, document, data } = {}) {
+    if (!this.activeUser || !this.activeUser.uid) {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+    const collectionRules = configForCollection(this.accessRules, collection) || this.accessRules["*"] || {};
+    const rule = collectionRules[operation];
+    if (rule === undefined) return true;
+    if (document === undefined && id && operation !== "create" && operation !== "list") {
+      document = await this.loadDocument(collection, id);
+    };
+    const result = await this.checkAccessRule(rule, { collection, operation, id, document, data });
+    if (!result) {
+      throw new ForbiddenError(`Forbidden: ${operation} access to '${collection}' is not permitted.`);
+    };
+    return result;
+  };
+
+  /** Enforce the list access rule on filter options.
+   *
+   * When the rule only passes for owned documents, a where clause on the
+   * owner field is added so the query returns the active user's documents.
+   *
+   * @webonly
+   *
+   * @param collection the name of the collection.
+   * @param filterOptions the orderBy, sortOrder and where options.
+   * @return filter options.
+   */
+  async authorizeQuery(collection, filterOptions) {
+    const result = await this.assertAccess(collection, "list");
+    if (result === true) return filterOptions;
+    return {
+      ...filterOptions,
+      where: [
+        ...(filterOptions.where || []),
+        { fieldName: result.ownerField, operator: "==", value: this.activeUser.uid }
+      ]
+    };
+  };
+
+  /** Enforce the access rule for merging into a document that may not exist.
+   *
+   * Adding a document with an id that is already taken and updating a
+   * document both merge into it, so the update rule is checked against the
+   * existing document, and the create rule when there is none. Read the
+   * document in the transaction that writes it, so it cannot be created or
+   * changed in between.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const existing = await assertUpsertAccess(transaction, "orders", documentReference, data);
+   *
+   * ```
+   *
+   * @param transaction the transaction to read the document in.
+   * @param collection the path of the collection.
+   * @param documentReference the reference of the document to write.
+   * @param data the data being written.
+   * @return the existing document data, or null when the document does not exist.
+   */
+  async assertUpsertAccess(transaction, collection, documentReference, data) {
+    const documentSnapshot = await transaction.get(documentReference);
+    if (!documentSnapshot.exists) {
+      await this.assertAccess(collection, "create", { id: documentReference.id, data });
+      return null;
+    };
+    const document = this.toGraphQLDocument(collection, { id: documentSnapshot.id, ...documentSnapshot.data() });
+    await this.assertAccess(collection, "update", { id: documentReference.id, document, data });
+    return documentSnapshot.data();
+  };
+
+  /** Get the audit fields to stamp on a write to a collection.
+   *
+   * Collections listed in the `audit` constructor option, or all collections
+   * when it has a `*` entry, are stamped with server timestamps and the
+   * active user's uid.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const data = { ...input, ...auditStamp("orders", "create") };
+   *
+   * ```
+   *
+   * @param collection the path of the collection.
+   * @param operation create or update.
+   * @return the audit fields to add to the written data.
+   */
+  auditStamp(collection, operation) {
+    if (!(configForCollection(this.audit, collection) || this.audit["*"])) return {};
+    const uid = this.activeUser && this.activeUser.uid ? this.activeUser.uid : null;
+    const updated = {
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      updatedBy: uid
+    };
+    if (operation !== "create") return updated;
+    return {
+      createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+      createdBy: uid,
+      ...updated
+    };
+  };
+
+  /** Read a document before a write when its collection keeps history.
+   *
+   * @webonly
+   *
+   * @param collection the path of the collection.
+   * @param id the id of the document.
+   * @return the document data, null when it does not exist, or undefined when the collection keeps no history.
+   */
+  async historyBefore(collection, id) {
+    const config = configForCollection(this.audit, collection) || this.audit["*"];
+    if (!config || !config.history) return undefined;
+    const documentSnapshot = await this.callFirebase("historyBefore", () => this.collectionReference(collection).doc(id).get(), { idempotent: true });
+    return documentSnapshot.exists ? documentSnapshot.data() : null;
+  };
+
+  /** Record the changes of a write in the document's `_history` subcollection.
+   *
+   * Each history entry has the operation, the time and uid of the change
+   * and the before and after values of every changed field.
+   *
+   * @webonly
+   *
+   * @param collection the path of the collection.
+   * @param id the id of the document.
+   * @param operation create, update, delete or restore.
+   * @param before the document data returned by historyBefore.
+   * @return nothing.
+   */
+  async recordHistory(collection, id, operation, before) {
+    if (before === undefined) return;
+    const documentReference = this.collectionReference(collection).doc(id);
+    const documentSnapshot = await this.callFirebase("recordHistory", () => documentReference.get(), { idempotent: true });
+    const changes = diffDocuments(before, documentSnapshot.exists ? documentSnapshot.data() : null);
+    if (changes.length === 0) return;
+    await this.callFirebase("recordHistory", () => documentReference.collection("_history").add({
+      operation,
+      changes,
+      changedAt: firebase.firestore.FieldValue.serverTimestamp(),
+      changedBy: this.activeUser.uid
+    }));
+  };
+
+  /** Whether documents in a collection are soft deleted.
+   *
+   * @webonly
+   *
+   * @param collection the path of the collection.
+   * @return true when the collection is configured for soft delete.
+   */
+  isSoftDeleted(collection) {
+    return !!configForCollection(this.softDelete, collection);
+  };
+
+  /** Check that the active user may include soft-deleted documents.
+   *
+   * @webonly
+   *
+   * @param includeDeleted whether to include soft-deleted documents.
+   * @return includeDeleted.
+   */
+  allowDeleted(includeDeleted = false) {
+    if (includeDeleted && (!this.activeUser.customClaims || !this.activeUser.customClaims.admin)) {
+      throw new ForbiddenError('Only admins can include deleted documents.');
+    };
+    return includeDeleted;
+  };
+
+  /** Exclude soft-deleted documents from filter options.
+   *
+   * @webonly
+   *
+   * @param collection the path of the collection.
+   * @param filterOptions the orderBy, sortOrder and where options.
+   * @param includeDeleted whether to include soft-deleted documents.
+   * @return filter options.
+   */
+  excludeDeleted(collection, filterOptions, includeDeleted = false) {
+    if (!this.isSoftDeleted(collection) || this.allowDeleted(includeDeleted)) return filterOptions;
+    return {
+      ...filterOptions,
+      where: [
+        ...(filterOptions.where || []),
+        { fieldName: "deletedAt", operator: "==", value: null }
+      ]
+    };
+  };
+
+  /** Add `deletedAt: null` to a write that creates a document.
+   *
+   * Queries on soft-delete collections match `deletedAt == null`, which
+   * only finds documents that have the field.
+   *
+   * @webonly
+   *
+   * @param collection the path of the collection.
+   * @param data the data being written.
+   * @param existing the existing document data, or null when there is none.
+   * @return the data to write.
+   */
+  markNotDeleted(collection, data, existing) {
+    if (!this.isSoftDeleted(collection) || (existing && "deletedAt" in existing)) return data;
+    return { deletedAt: null, ...data };
+  };
+
+  /** Validate document data against the schema registered for a collection.
+   *
+   * Creates are validated in full and have schema defaults applied. Updates
+   * are merged into the existing document, so they are validated without
+   * required properties or defaults. Unknown fields are removed when the
+   * schema was registered with `stripUnknown: true`.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const data = validateDocument("users", "create", { firstName: "John" });
+   *
+   * ```
+   *
+   * @param collection the name of the collection.
+   * @param operation create or update.
+   * @param data the document data, which is modified in place.
+   * @return the validated data.
+   */
+  validateDocument(collection, operation, data) {
+    const validators = configForCollection(this.schemaValidators, collection);
+    if (!validators) return data;
+    const { id, ...fields } = data;
+    const validate = validators[operation];
+    if (!validate(fields)) {
+      const validationErrors = validate.errors.map(error => {
+        const path = error.instancePath.split('/').filter(segment => segment !== "");
+        if (error.keyword === "required") path.push(error.params.missingProperty);
+        return { field: path.join('.'), message: error.message };
+      });
+      throw new InvalidInputError(`Invalid ${collection} document.`, { validationErrors });
+    };
+    for (const key in data) {
+      if (key !== "id" && !(key in fields)) delete data[key];
+    };
+    Object.assign(data, fields);
+    return data;
+  };
+
+  /** Convert the special Firestore types in a value for a GraphQL response.
+   *
+   * @webonly
+   *
+   * @param value a value read from firestore.
+   * @return the converted value.
+   */
+  toGraphQLValue(value) {
+    if (value === null || typeof value !== "object") return value;
+    for (const name in this.converters) {
+      if (this.converters[name].test(value)) return this.converters[name].toGraphQL(value);
+    };
+    if (Array.isArray(value)) return value.map(item => this.toGraphQLValue(item));
+    if (!isPlainObject(value)) return value;
+    const converted = {};
+    for (const key in value) {
+      converted[key] = this.toGraphQLValue(value[key]);
+    };
+    return converted;
+  };
+
+  /** Convert a document read from firestore for a GraphQL response.
+   *
+   * Special types are converted with the configured converters, and the
+   * result is passed to the `fromFirestore` method of the collection's model
+   * when one is configured.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const document = toGraphQLDocument("users", { id: documentSnapshot.id, ...documentSnapshot.data() });
+   *
+   * ```
+   *
+   * @param collection the name of the collection.
+   * @param document the document read from firestore.
+   * @return the converted document.
+   */
+  toGraphQLDocument(collection, document) {
+    if (!document) return document;
+    const converted = this.toGraphQLValue(document);
+    const model = configForCollection(this.models, collection);
+    return model && model.fromFirestore ? model.fromFirestore(converted) : converted;
+  };
+
+  /** Convert a GraphQL input value for a field to its firestore type.
+   *
+   * The type is looked up by the field path in the collection's
+   * `fieldTypes`. Values that are already firestore types are left as is.
+   *
+   * @webonly
+   *
+   * @param collection the name of the collection.
+   * @param fieldPath the dot separated path of the field.
+   * @param value the input value.
+   * @return the converted value.
+   */
+  fromGraphQLValue(collection, fieldPath, value) {
+    const type = (configForCollection(this.fieldTypes, collection) || {})[fieldPath];
+    if (!type || value === null || value === undefined) return value;
+    if (value instanceof firebase.firestore.FieldValue) return value;
+    if (Array.isArray(value)) return value.map(item => this.fromGraphQLValue(collection, fieldPath, item));
+    const converter = this.converters[type];
+    if (!converter) throw new InvalidInputError(`No converter is registered for field type '${type}'.`);
+    if (converter.test(value)) return value;
+    return converter.fromGraphQL(value, { db: this.db, collection, fieldPath });
+  };
+
+  /** Convert GraphQL input data to a document to write to firestore.
+   *
+   * The data is passed to the `toFirestore` method of the collection's
+   * model when one is configured, and the fields listed in the collection's
+   * `fieldTypes` are converted to their firestore types.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  // with fieldTypes: { users: { birthDate: "timestamp", "address.location": "geopoint" } }
+   *  const data = fromGraphQLDocument("users", {
+   *    birthDate: "1990-01-31T00:00:00.000Z",
+   *    address: { location: { lat: 48.85, lng: 2.35 } }
+   *  });
+   *
+   * ```
+   *
+   * @param collection the name of the collection.
+   * @param data the input data.
+   * @return the converted data.
+   */
+  fromGraphQLDocument(collection, data) {
+    const model = configForCollection(this.models, collection);
+    const { id, ...fields } = model && model.toFirestore ? model.toFirestore(data) : data;
+    const convertFields = (base, prefix) => {
+      const converted = {};
+      for (const key in base) {
+        const fieldPath = prefix ? `${prefix}.${key}` : key;
+        converted[key] = isPlainObject(base[key]) && !(configForCollection(this.fieldTypes, collection) || {})[fieldPath]
+          ? convertFields(base[key], fieldPath)
+          : this.fromGraphQLValue(collection, fieldPath, base[key]);
+      };
+      return converted;
+    };
+    const converted = convertFields(fields, "");
+    return id === undefined ? converted : { id, ...converted };
+  };
+
+  /** Convert a query document snapshot to a document.
+   *
+   * Documents from collection group queries also get their full path and
+   * the ids of their parent documents, from the root down.
+   *
+   * @webonly
+   *
+   * @param collection the path of the collection.
+   * @param documentSnapshot the query document snapshot.
+   * @param collectionGroup whether the snapshot is from a collection group query.
+   * @return Object representation of a document.
+   */
+  snapshotToDocument(collection, documentSnapshot, collectionGroup = false) {
+    const location = collectionGroup
+      ? { path: documentSnapshot.ref.path, parentIds: parentIds(documentSnapshot.ref.path) }
+      : {};
+    return this.toGraphQLDocument(collection, {
+      id: documentSnapshot.id,
+      ...location,
+      ...documentSnapshot.data()
+    });
+  };
+
+  /** Derive the field paths to select from a resolver's info argument.
+   *
+   * Nested selections become dot separated paths into map fields, and the
+   * document id is left out as it is always returned. Use `path`
+   * when the documents are nested in the resolver's result, and `include`
+   * for fields that resolvers compute from other fields.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  // query { users { firstName address { city } } }
+   *  const select = selectFromInfo(info);
+   *  // ["firstName", "address.city"]
+   *
+   *  // query { usersPage { documents { firstName } } }
+   *  const select = selectFromInfo(info, { path: "documents", include: ["lastName"] });
+   *  // ["firstName", "lastName"]
+   *
+   * ```
+   *
+   * @param info the resolver's info argument.
+   * @param options the path of the documents in the result and extra fields to include.
+   * @return Array of field paths.
+   */
+  selectFromInfo(info, { path = "", include = [] } = {}) {
+    const fieldPaths = [];
+    info.fieldNodes.forEach(fieldNode => {
+      fieldPaths.push(...selectionFieldPaths(fieldNode.selectionSet, info.fragments || {}));
+    });
+    const prefix = path ? `${path}.` : "";
+    const selected = fieldPaths
+      .filter(fieldPath => fieldPath.startsWith(prefix))
+      .map(fieldPath => fieldPath.slice(prefix.length))
+      .filter(fieldPath => fieldPath !== "id");
+    return [...new Set([...selected, ...include])];
+  };
+
+  /** Get the active user's credentials from the request object.
+   *
+   * A session cookie is used when the request has one, otherwise the
+   * `Authorization` bearer header or the `x-token` header.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const users = await retrieveUserFromRequest(req);
+   * 
+   * ```
+   *
+   * @param req the request object.
+   * @return active user.
+   */
+  async retrieveUserFromRequest(req) {
+    var errors = [];
+    var activeUser = {};
+    const authorization = req.headers['authorization'];
+    const token = req.headers['x-token'];
+    const sessionCookie = (req.cookies || parseCookies(req.headers['cookie']))[this.sessionCookie.name];
+    if (sessionCookie) {
+      activeUser = await this.retrieveUserFromSessionCookie(sessionCookie);
+    } else if (authorization && authorization.startsWith('Bearer ')) {
+      activeUser = await this.retrieveUserFromIdToken(authorization.slice(7).trim());
+    } else if (token) {
+      var activeUser = await this.retrieveUserFromToken(token);
+    } else {
+      errors.push(new UnauthenticatedError("The request has no token in the headers to verify."));
+    };
+    if (errors.length > 0) activeUser = { errors };
+    return activeUser;
+  };
+
+  /** Get the active user's credentials from a token.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const users = await retrieveUserFromToken(token);
+   * 
+   * ```
+   *
+   * @param token the authentication token object.
+   * @return active user.
+   */
+  async retrieveUserFromToken(token) {
+    var errors = [];
+    var activeUser = {};
+    if (token) {
+      try {
+        const { user, idTokenResult } = await this.withSignInAuth(async auth => {
+          const userCredential = await this.callFirebase("retrieveUserFromToken", () => auth.signInWithCustomToken(token), { idempotent: true });
+          const idTokenResult = await this.callFirebase("retrieveUserFromToken", () => userCredential.user.getIdTokenResult(), { idempotent: true });
+          return { user: userCredential.user.toJSON(), idTokenResult };
+        });
+        var claims;
+        for (const key in idTokenResult.claims) {
+          if (reservedClaims.indexOf(key) === -1) {
+            claims = { ...claims, [key]: tryParseBool(idTokenResult.claims[key]) };
+          };
+        };
+        if (!('admin' in claims)) claim = { ...claims, admin: false };
+        activeUser = {
+          ...user,
+          customClaims: claims,
+          token
+        };
+
+      } catch (e) {
+        errors.push(new UnauthenticatedError('Could not validate user from token.', { cause: e }));
+      };
+    } else {
+      errors.push(new UnauthenticatedError("No token has been supplied to verify."));
+    };
+    if (errors.length > 0) activeUser = { errors };
+    return activeUser;
+  };
+
+  /** Get the active user's credentials from a Firebase ID token.
+   *
+   * The token is verified with the Admin SDK, so the shared client app is
+   * never signed in. Revocation is checked when the data source was
+   * constructed with `checkRevoked: true`.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const user = await retrieveUserFromIdToken(idToken);
+   *
+   * ```
+   *
+   * @param idToken the Firebase ID token.
+   * @return active user.
+   */
+  async retrieveUserFromIdToken(idToken) {
+    var errors = [];
+    var activeUser = {};
+    if (idToken) {
+      try {
+        const decodedToken = await this.verifyTenantToken("retrieveUserFromIdToken", auth => auth.verifyIdToken(idToken, this.checkRevoked));
+        activeUser = this.activeUserFromDecodedToken(decodedToken, idToken, "idToken");
+      } catch (e) {
+        errors.push(e instanceof ForbiddenError ? e : new UnauthenticatedError('Could not verify user from ID token.', { cause: e }));
+      };
+    } else {
+      errors.push(new UnauthenticatedError("No ID token has been supplied to verify."));
+    };
+    if (errors.length > 0) activeUser = { errors };
+    return activeUser;
+  };
+
+  /** Get the active user's credentials from a session cookie.
+   *
+   * The cookie is verified with the Admin SDK and is rejected when the
+   * user's sessions were revoked.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const user = await retrieveUserFromSessionCookie(sessionCookie);
+   *
+   * ```
+   *
+   * @param sessionCookie the session cookie.
+   * @return active user.
+   */
+  async retrieveUserFromSessionCookie(sessionCookie) {
+    var errors = [];
+    var activeUser = {};
+    try {
+      const decodedToken = await this.verifyTenantToken("retrieveUserFromSessionCookie", auth => auth.verifySessionCookie(sessionCookie, true));
+      activeUser = this.activeUserFromDecodedToken(decodedToken, sessionCookie, "sessionCookie");
+    } catch (e) {
+      errors.push(e instanceof ForbiddenError ? e : new UnauthenticatedError('Could not verify user from session cookie.', { cause: e }));
+    };
+    if (errors.length > 0) activeUser = { errors };
+    return activeUser;
+  };
+
+  /** Verify an ID token or session cookie for its tenant.
+   *
+   * When no tenant was resolved for the request, a token issued for a tenant
+   * must be for one of the configured `tenants`. It is then verified again
+   * with that tenant's auth, which becomes the active tenant.
+   *
+   * @webonly
+   *
+   * @param operation the name of the operation, for timeouts.
+   * @param verify a function that verifies the token with an admin auth.
+   * @return the decoded claims of the token.
+   */
+  async verifyTenantToken(operation, verify) {
+    const decodedToken = await this.callFirebase(operation, () => verify(this.adminAuth()), { idempotent: true });
+    const tenant = decodedToken.firebase && decodedToken.firebase.tenant;
+    if (this.tenantId || !tenant) return decodedToken;
+    if (Array.isArray(this.tenants) && this.tenants.indexOf(tenant) === -1) {
+      throw new ForbiddenError(`Unknown tenant '${tenant}'.`);
+    };
+    const tenantAuth = this.adminApp.auth().tenantManager().authForTenant(tenant);
+    const tenantToken = await this.callFirebase(operation, () => verify(tenantAuth), { idempotent: true });
+    this.tenantId = tenant;
+    return tenantToken;
+  };
+
+  /** Build the active user from a verified ID token or session cookie.
+   *
+   * @webonly
+   *
+   * @param decodedToken the decoded claims of the token.
+   * @param token the token or session cookie.
+   * @param tokenType idToken or sessionCookie.
+   * @return active user.
+   */
+  activeUserFromDecodedToken(decodedToken, token, tokenType) {
+    var claims = {};
+    for (const key in decodedToken) {
+      if (reservedClaims.indexOf(key) === -1 && idTokenClaims.indexOf(key) === -1) {
+        claims = { ...claims, [key]: tryParseBool(decodedToken[key]) };
+      };
+    };
+    if (!('admin' in claims)) claims = { ...claims, admin: false };
+    return {
+      uid: decodedToken.uid,
+      email: decodedToken.email,
+      emailVerified: decodedToken.email_verified,
+      displayName: decodedToken.name,
+      photoURL: decodedToken.picture,
+      phoneNumber: decodedToken.phone_number,
+      customClaims: claims,
+      token,
+      tokenType
+    };
+  };
+
+  /** Set or clear the session cookie on the response.
+   *
+   * Works with responses that have an Express style `cookie` method or a
+   * `setHeader` method. Nothing is set when the context has no response.
+   *
+   * @webonly
+   *
+   * @param value the session cookie, or an empty string to clear it.
+   * @param maxAge the lifetime of the cookie in milliseconds.
+   * @return nothing.
+   */
+  setSessionCookie(value, maxAge) {
+    const res = this.context && (this.context.response || this.context.res);
+    if (!res) return;
+    const { name, path, domain, secure, sameSite } = this.sessionCookie;
+    if (typeof res.cookie === "function") {
+      res.cookie(name, value, { maxAge, path, domain, secure, sameSite, httpOnly: true });
+    } else if (typeof res.setHeader === "function") {
+      const existing = res.getHeader ? res.getHeader('Set-Cookie') : undefined;
+      const cookies = existing ? [].concat(existing) : [];
+      res.setHeader('Set-Cookie', [...cookies, serializeCookie(name, value, { maxAge, path, domain, secure, sameSite })]);
+    };
+  };
+
+  /** Build a client auth credential from sign-in arguments.
+   *
+   * Supports OAuth providers (`providerId` with an `idToken` and/or
+   * `accessToken`), phone numbers (`verificationId` and `verificationCode`),
+   * email links (`email` and `emailLink`) and email and password.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const credential = credentialFromArgs({ providerId: "google.com", idToken });
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return auth credential.
+   */
+  credentialFromArgs(args) {
+    const { providerId, idToken, accessToken, secret, rawNonce, verificationId, verificationCode, email, password, emailLink } = args;
+    if (verificationId) {
+      return firebase.auth.PhoneAuthProvider.credential(verificationId, verificationCode);
+    };
+    if (email && emailLink) {
+      if (!this.auth().isSignInWithEmailLink(emailLink)) {
+        throw new InvalidInputError('The email link is not a sign-in link.');
+      };
+      return firebase.auth.EmailAuthProvider.credentialWithLink(email, emailLink);
+    };
+    if (email && password) {
+      return firebase.auth.EmailAuthProvider.credential(email, password);
+    };
+    switch (providerId) {
+      case 'google.com':
+        return firebase.auth.GoogleAuthProvider.credential(idToken, accessToken);
+      case 'github.com':
+        return firebase.auth.GithubAuthProvider.credential(accessToken);
+      case 'facebook.com':
+        return firebase.auth.FacebookAuthProvider.credential(accessToken);
+      case 'twitter.com':
+        return firebase.auth.TwitterAuthProvider.credential(accessToken, secret);
+      case undefined:
+      case null:
+      case '':
+        throw new InvalidInputError('Sign-in arguments must have a provider, phone verification, email link or password.');
+      default:
+        return new firebase.auth.OAuthProvider(providerId).credential({ idToken, accessToken, rawNonce });
+    };
+  };
+
+  /** Make a client user the active user.
+   *
+   * New users get the default custom claims. The returned active user has
+   * a custom token with the user's claims, like the one from `userSignIn`.
+   *
+   * @webonly
+   *
+   * @param user the signed in client user.
+   * @param isNewUser whether the user was created by this sign-in.
+   * @return active user.
+   */
+  async activeUserFromUser(user, isNewUser = false) {
+    var claims = { admin: false };
+    if (isNewUser) {
+      claims = { ...this.defaultCustomClaims };
+      await this.callFirebase("activeUserFromUser", () => this.adminAuth().setCustomUserClaims(user.uid, claims), { idempotent: true });
+    } else {
+      const idTokenResult = await this.callFirebase("activeUserFromUser", () => user.getIdTokenResult(), { idempotent: true });
+      for (const key in idTokenResult.claims) {
+        if (reservedClaims.indexOf(key) === -1) {
+          claims = { ...claims, [key]: tryParseBool(idTokenResult.claims[key]) };
+        };
+      };
+    };
+    const token = await this.callFirebase("activeUserFromUser", () => this.adminAuth().createCustomToken(user.uid, claims), { idempotent: true });
+    const activeUser = {
+      ...user.toJSON(),
+      token,
+      customClaims: claims
+    };
+    this.activeUser = activeUser;
+    return activeUser;
+  };
+
+  /** Sign the active user in to a client auth.
+   *
+   * @webonly
+   *
+   * @param auth the client auth of a sign-in app from `withSignInAuth`.
+   * @return the signed in client user.
+   */
+  async signInActiveUser(auth) {
+    const token = await this.callFirebase("signInActiveUser", () => this.adminAuth().createCustomToken(this.activeUser.uid), { idempotent: true });
+    const userCredential = await this.callFirebase("signInActiveUser", () => auth.signInWithCustomToken(token), { idempotent: true });
+    return userCredential.user;
+  };
+
+  /** Run client auth calls on a short-lived app of their own.
+   *
+   * Signing in changes the current user of a client app, and the shared
+   * client app serves every request, so each sign-in runs on a new app for
+   * the active tenant that is deleted when the function has finished. Read
+   * what is needed from the signed in user inside the function.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const user = await withSignInAuth(async auth => {
+   *    const userCredential = await auth.signInAnonymously();
+   *    return userCredential.user.toJSON();
+   *  });
+   *
+   * ```
+   *
+   * @param fn a function that receives the client auth of the app.
+   * @return the result of the function.
+   */
+  async withSignInAuth(fn) {
+    const signInApp = firebase.initializeApp(this.firebaseOptions || this.app.options, `${this.appName}[signIn:${++signInAppCount}]`);
+    try {
+      const auth = signInApp.auth();
+      if (this.tenantId) auth.tenantId = this.tenantId;
+      return await fn(auth);
+    } finally {
+      await signInApp.delete();
+    };
+  };
+
+  /* AUTH AND ADMIN FUNCTIONS */
+
+  /** Retrieve a list of users.
+   *
+   * Users can be filtered on part of their email address and on custom
+   * claims. Auth cannot filter users on the server, so the filter is applied
+   * to each page and a filtered page can hold fewer than `pageSize` users.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const args = {
+   *    pageSize: 20,
+   *    pageToken: null
+   *  }
+   *  const users = await getPageOfUsers(args);
+   *
+   *  // only editors with a company address
+   *  const args = {
+   *    pageSize: 20,
+   *    filter: {
+   *      email: "@company.com",
+   *      claims: { editor: true }
+   *    }
+   *  }
+   * 
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return page object of users.
+   */
+  async getPageOfUsers(args) {
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser && this.activeUser.customClaims.admin) {
+      try {
+        const { pageSize, pageToken, filter } = args;
+        const listUsersResult = await this.callFirebase("getPageOfUsers", () => this.adminAuth().listUsers(pageSize || 50, pageToken), { idempotent: true });
+        listUsersResult.users.forEach(parseUserClaims);
+        return {
+          users: listUsersResult.users.filter(user => userMatches(user, filter)),
+          pageSize: listUsersResult.pageSize || pageSize,
+          pageToken: listUsersResult.pageToken
+        };
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new ForbiddenError('Only admins can list users.');
+    };
+  };
+
+  /** Retrieve a user by uid, email or phone number.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const user = await getUser({ email: "user@mail.com" });
+   *
+   * ```
+   *
+   * @param args An object with a uid, email or phoneNumber.
+   * @return user.
+   */
+  async getUser(args) {
+    const { uid, email, phoneNumber } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (!uid && !email && !phoneNumber) {
+      throw new InvalidInputError('A uid, email or phone number is needed to get a user.');
+    };
+    if (this.activeUser && this.activeUser.customClaims && this.activeUser.customClaims.admin) {
+      try {
+        var user;
+        if (uid) {
+          user = await this.callFirebase("getUser", () => this.adminAuth().getUser(uid), { idempotent: true });
+        } else if (email) {
+          user = await this.callFirebase("getUser", () => this.adminAuth().getUserByEmail(email), { idempotent: true });
+        } else {
+          user = await this.callFirebase("getUser", () => this.adminAuth().getUserByPhoneNumber(phoneNumber), { idempotent: true });
+        };
+        return parseUserClaims(user);
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new ForbiddenError('Only admins can get users.');
+    };
+  };
+
+  /** Delete a user.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  await deleteUser({ uid: "4FVas9I0oTran87Hjf" });
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return true.
+   */
+  async deleteUser(args) {
+    const { uid } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser && this.activeUser.customClaims && this.activeUser.customClaims.admin) {
+      try {
+        await this.callFirebase("deleteUser", () => this.adminAuth().deleteUser(uid));
+        return true;
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new ForbiddenError('Only admins can delete users.');
+    };
+  };
+
+  /** Delete many users.
+   *
+   * Users that cannot be deleted are reported in `errors` by their index in
+   * `uids` instead of failing the whole call.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const { successCount, failureCount, errors } = await deleteUsers({ uids: ["4FVas9I0oTran87Hjf", "Van4Tij98lKfbOKP0"] });
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return the success and failure counts and the errors.
+   */
+  async deleteUsers(args) {
+    const { uids } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser && this.activeUser.customClaims && this.activeUser.customClaims.admin) {
+      try {
+        const result = { successCount: 0, failureCount: 0, errors: [] };
+        for (var start = 0; start < uids.length; start += maxUserBatchSize) {
+          const deleteUsersResult = await this.callFirebase("deleteUsers", () => this.adminAuth().deleteUsers(uids.slice(start, start + maxUserBatchSize)));
+          result.successCount += deleteUsersResult.successCount;
+          result.failureCount += deleteUsersResult.failureCount;
+          deleteUsersResult.errors.forEach(({ index, error }) => result.errors.push({
+            index: start + index,
+            uid: uids[start + index],
+            message: error.message
+          }));
+        };
+        return result;
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new ForbiddenError('Only admins can delete users.');
+    };
+  };
+
+  /** Disable a user, who can then no longer sign in.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const user = await disableUser({ uid: "4FVas9I0oTran87Hjf" });
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return user.
+   */
+  async disableUser(args) {
+    const { uid } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser && this.activeUser.customClaims && this.activeUser.customClaims.admin) {
+      try {
+        return parseUserClaims(await this.callFirebase("disableUser", () => this.adminAuth().updateUser(uid, { disabled: true }), { idempotent: true }));
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new ForbiddenError('Only admins can disable users.');
+    };
+  };
+
+  /** Enable a disabled user.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const user = await enableUser({ uid: "4FVas9I0oTran87Hjf" });
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return user.
+   */
+  async enableUser(args) {
+    const { uid } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser && this.activeUser.customClaims && this.activeUser.customClaims.admin) {
+      try {
+        return parseUserClaims(await this.callFirebase("enableUser", () => this.adminAuth().updateUser(uid, { disabled: false }), { idempotent: true }));
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new ForbiddenError('Only admins can enable users.');
+    };
+  };
+
+  /** Revoke all refresh tokens of a user.
+   *
+   * ID tokens that were already issued stay valid until they expire, unless
+   * the data source is configured with `checkRevoked: true`.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  await revokeRefreshTokens({ uid: "4FVas9I0oTran87Hjf" });
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return true.
+   */
+  async revokeRefreshTokens(args) {
+    const { uid } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser && this.activeUser.customClaims && this.activeUser.customClaims.admin) {
+      try {
+        await this.callFirebase("revokeRefreshTokens", () => this.adminAuth().revokeRefreshTokens(uid), { idempotent: true });
+        return true;
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new ForbiddenError('Only admins can revoke refresh tokens.');
+    };
+  };
+
+  /** Generate an email action link for a user.
+   *
+   * The type is `passwordReset`, `emailVerification` or `emailSignIn`. The
+   * optional `actionCodeSettings` set the URL to continue to after the
+   * action, and are required for email sign-in links.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    type: "passwordReset",
+   *    email: "user@mail.com",
+   *    actionCodeSettings: { url: "https://example.com/signed-in" }
+   *  }
+   *  const link = await generateEmailLink(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return the link.
+   */
+  async generateEmailLink(args) {
+    const { type, email, actionCodeSettings } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser && this.activeUser.customClaims && this.activeUser.customClaims.admin) {
+      try {
+        switch (type) {
+          case 'passwordReset':
+            return await this.callFirebase("generateEmailLink", () => this.adminAuth().generatePasswordResetLink(email, actionCodeSettings), { idempotent: true });
+          case 'emailVerification':
+            return await this.callFirebase("generateEmailLink", () => this.adminAuth().generateEmailVerificationLink(email, actionCodeSettings), { idempotent: true });
+          case 'emailSignIn':
+            if (!actionCodeSettings) {
+              throw new InvalidInputError('Email sign-in links need actionCodeSettings.');
+            };
+            return await this.callFirebase("generateEmailLink", () => this.adminAuth().generateSignInWithEmailLink(email, actionCodeSettings), { idempotent: true });
+          default:
+            throw new InvalidInputError(`Unknown email link type '${type}'.`);
+        };
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new ForbiddenError('Only admins can generate email links.');
+    };
+  };
+
+  /** Import users, with their password hashes, in bulk.
+   *
+   * Password hashes, salts and the hash key may be given as base64 strings.
+   * Users that cannot be imported are reported in `errors` by their index
+   * in `users` instead of failing the whole call.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    users: [
+   *      { uid: "4FVas9I0oTran87Hjf", email: "user@mail.com", passwordHash: "bm90IGEgcmVhbCBoYXNo", passwordSalt: "c2FsdA==" }
+   *    ],
+   *    hash: {
+   *      algorithm: "HMAC_SHA256",
+   *      key: "c2VjcmV0"
+   *    }
+   *  }
+   *  const { successCount, failureCount, errors } = await importUsers(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return the success and failure counts and the errors.
+   */
+  async importUsers(args) {
+    const { users, hash } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser && this.activeUser.customClaims && this.activeUser.customClaims.admin) {
+      try {
+        const userImportRecords = users.map(user => ({
+          ...user,
+          ...(user.passwordHash ? { passwordHash: toBuffer(user.passwordHash) } : {}),
+          ...(user.passwordSalt ? { passwordSalt: toBuffer(user.passwordSalt) } : {})
+        }));
+        const options = hash ? {
+          hash: {
+            ...hash,
+            ...(hash.key ? { key: toBuffer(hash.key) } : {}),
+            ...(hash.saltSeparator ? { saltSeparator: toBuffer(hash.saltSeparator) } : {})
+          }
+        } : undefined;
+        const result = { successCount: 0, failureCount: 0, errors: [] };
+        for (var start = 0; start < userImportRecords.length; start += maxUserBatchSize) {
+          const userImportResult = await this.callFirebase("importUsers", () => this.adminAuth().importUsers(userImportRecords.slice(start, start + maxUserBatchSize), options));
+          result.successCount += userImportResult.successCount;
+          result.failureCount += userImportResult.failureCount;
+          userImportResult.errors.forEach(({ index, error }) => result.errors.push({
+            index: start + index,
+            uid: users[start + index].uid,
+            message: error.message
+          }));
+        };
+        return result;
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new ForbiddenError('Only admins can import users.');
+    };
+  };
+
+  /** Sign up a new user in firestore with username and password.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const args = {
+   *    email: "user@mail.com",
+   *    password: "AStrongPassword"
+   *  }
+   * 
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return active user.
+   */
+  async userSignUp(args) {
+    const {
+      email,
+      password
+    } = args;
+
+    try {
+      var secret = password;
+      var user = await this.withSignInAuth(async auth => {
+        const userCredential = await this.callFirebase("userSignUp", () => auth.createUserWithEmailAndPassword(email, secret));
+        return userCredential.user.toJSON();
+      });
+      const token = await this.callFirebase("userSignUp", () => this.adminAuth().createCustomToken(user.uid, this.defaultCustomClaims), { idempotent: true });
+      await this.callFirebase("userSignUp", () => this.adminAuth().setCustomUserClaims(user.uid, this.defaultCustomClaims), { idempotent: true });
+      var activeUser = {
+        ...user,
+        token,
+        customClaims: this.defaultCustomClaims
+      };
+      this.activeUser = activeUser;
+      return activeUser;
+    } catch (e) {
+      console.log('Failed to sign up user', args, e);
+      throw mapFirebaseError(e);
+    }
+  };
+
+  /** Sign user in to the firestore with username and password.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const args = {
+   *    email: "user@mail.com",
+   *    password: "AStrongPassword"
+   *  }
+   *  const user = await userSignIn(args);
+   * 
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return active user.
+   */
+  async userSignIn(args) {
+    const {
+      email,
+      password
+    } = args;
+
+    try {
+      var { user, idTokenResult } = await this.withSignInAuth(async auth => {
+        const signIn = await this.callFirebase("userSignIn", () => auth.signInWithEmailAndPassword(email, password), { idempotent: true });
+        const idTokenResult = await this.callFirebase("userSignIn", () => signIn.user.getIdTokenResult(), { idempotent: true });
+        return { user: signIn.user.toJSON(), idTokenResult };
+      });
+      var claims;
+      for (const key in idTokenResult.claims) {
+        if (reservedClaims.indexOf(key) === -1) {
+          claims = { ...claims, [key]: tryParseBool(idTokenResult.claims[key]) };
+        }
+      };
+      if (!('admin' in claims)) claim = { ...claims, admin: false };
+      const token = await this.callFirebase("userSignIn", () => this.adminAuth().createCustomToken(user.uid, claims), { idempotent: true });
+      var currentUser = {
+        ...user,
+        token,
+        customClaims: claims
+      };
+      this.activeUser = currentUser;
+      return currentUser;
+    } catch (e) {
+      console.log('Sign in error', e)
+      throw mapFirebaseError(e)
+    }
+  };
+
+  /** Sign a user in with an OAuth provider, phone number or email link.
+   *
+   * The arguments are exchanged for a credential: an OAuth `idToken` or
+   * `accessToken` for a `providerId` such as `google.com` or `github.com`,
+   * the `verificationId` and `verificationCode` of a phone number sign-in,
+   * or the `email` and `emailLink` of an email link sign-in. A user is
+   * created on the first sign-in.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const user = await signInWithCredential({ providerId: "google.com", idToken });
+   *  const user = await signInWithCredential({ verificationId, verificationCode: "123456" });
+   *  const user = await signInWithCredential({ email: "user@mail.com", emailLink });
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return active user.
+   */
+  async signInWithCredential(args) {
+    try {
+      const credential = this.credentialFromArgs(args);
+      return await this.withSignInAuth(async auth => {
+        const userCredential = await this.callFirebase("signInWithCredential", () => auth.signInWithCredential(credential));
+        return await this.activeUserFromUser(userCredential.user, userCredential.additionalUserInfo.isNewUser);
+      });
+    } catch (e) {
+      throw mapFirebaseError(e);
+    };
+  };
+
+  /** Sign in as a new anonymous guest user.
+   *
+   * The account can be upgraded later with `linkCredential`.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const guest = await signInAnonymously();
+   *
+   * ```
+   *
+   * @return active user.
+   */
+  async signInAnonymously() {
+    try {
+      return await this.withSignInAuth(async auth => {
+        const userCredential = await this.callFirebase("signInAnonymously", () => auth.signInAnonymously());
+        return await this.activeUserFromUser(userCredential.user, true);
+      });
+    } catch (e) {
+      throw mapFirebaseError(e);
+    };
+  };
+
+  /** Link a sign-in method to the active user's account.
+   *
+   * Takes the same arguments as `signInWithCredential`, or an `email` and
+   * `password`. Linking to an anonymous account upgrades it to a permanent
+   * account that keeps its uid and data.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const user = await linkCredential({ email: "user@mail.com", password: "AStrongPassword" });
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return active user.
+   */
+  async linkCredential(args) {
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser && this.activeUser.uid) {
+      try {
+        const credential = this.credentialFromArgs(args);
+        return await this.withSignInAuth(async auth => {
+          const user = await this.signInActiveUser(auth);
+          const userCredential = await this.callFirebase("linkCredential", () => user.linkWithCredential(credential));
+          return await this.activeUserFromUser(userCredential.user);
+        });
+      } catch (e) {
+        throw mapFirebaseError(e);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Unlink a sign-in provider from the active user's account.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const user = await unlinkProvider({ providerId: "github.com" });
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return active user.
+   */
+  async unlinkProvider(args) {
+    const { providerId } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser && this.activeUser.uid) {
+      try {
+        return await this.withSignInAuth(async auth => {
+          const user = await this.signInActiveUser(auth);
+          return await this.activeUserFromUser(await this.callFirebase("unlinkProvider", () => user.unlink(providerId)));
+        });
+      } catch (e) {
+        throw mapFirebaseError(e);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Create a session cookie from a Firebase ID token.
+   *
+   * The ID token must be from a sign-in in the last five minutes. The cookie
+   * is set as an HTTP-only cookie on the response when the context has one,
+   * and is returned for servers that set cookies themselves. The lifetime
+   * defaults to the `expiresIn` of the `sessionCookie` constructor option
+   * and must be between five minutes and two weeks.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const { sessionCookie, expiresIn } = await createSessionCookie({ idToken });
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return the session cookie and its lifetime in milliseconds.
+   */
+  async createSessionCookie(args) {
+    const { idToken, expiresIn = this.sessionCookie.expiresIn } = args;
+    if (typeof expiresIn !== "number" || expiresIn < minSessionExpiresIn || expiresIn > maxSessionExpiresIn) {
+      throw new InvalidInputError('A session must expire between five minutes and two weeks after it is created.');
+    };
+    try {
+      const decodedToken = await this.verifyTenantToken("createSessionCookie", auth => auth.verifyIdToken(idToken, true));
+      if (Date.now() / 1000 - decodedToken.auth_time > minSessionExpiresIn / 1000) {
+        throw new UnauthenticatedError('A session needs a recent sign-in.');
+      };
+      const sessionCookie = await this.callFirebase("createSessionCookie", () => this.adminAuth().createSessionCookie(idToken, { expiresIn }), { idempotent: true });
+      this.setSessionCookie(sessionCookie, expiresIn);
+      this.activeUser = this.activeUserFromDecodedToken(decodedToken, sessionCookie, "sessionCookie");
+      return { sessionCookie, expiresIn };
+    } catch (e) {
+      throw mapFirebaseError(e);
+    };
+  };
+
+  /** Sign the active user out of every session.
+   *
+   * The user's refresh tokens are revoked, which also revokes all of their
+   * session cookies, and the session cookie is cleared on the response.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  await signOut();
+   *
+   * ```
+   *
+   * @return true.
+   */
+  async signOut() {
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser && this.activeUser.uid) {
+      try {
+        await this.callFirebase("signOut", () => this.adminAuth().revokeRefreshTokens(this.activeUser.uid), { idempotent: true });
+        this.setSessionCookie("", 0);
+        this.activeUser = { errors: [new UnauthenticatedError("The user has signed out.")] };
+        return true;
+      } catch (e) {
+        throw mapFirebaseError(e);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Force a refresh of the current user's id token.
+ *
+ * @webonly
+ *
+ * @example
+ * ```javascript
+ * 
+ *  const users = await refreshIdToken(token);
+ * 
+ * ```
+ *
+ * @param token the authentication token object.
+ * @return active user.
+ */
+  async userRefreshIdToken(token) {
+    var errors = [];
+    var activeUser = {};
+    if (token) {
+
+      if (!this.activeUser || this.activeUser.token !== token) {
+        throw new UnauthenticatedError("The token supplied does not match the  current loggen in user's credentials.");
+      }
+      if (this.activeUser.tokenType === "idToken" || this.activeUser.tokenType === "sessionCookie") {
+        try {
+          const userRecord = await this.callFirebase("userRefreshIdToken", () => this.adminAuth().getUser(this.activeUser.uid), { idempotent: true });
+          var claims = { admin: false };
+          for (const key in userRecord.customClaims) {
+            claims = { ...claims, [key]: tryParseBool(userRecord.customClaims[key]) };
+          };
+          return {
+            ...this.activeUser,
+            customClaims: claims,
+            token: await this.callFirebase("userRefreshIdToken", () => this.adminAuth().createCustomToken(userRecord.uid, claims), { idempotent: true }),
+            tokenType: "customToken"
+          };
+        } catch (e) {
+          return { errors: [new UnauthenticatedError('Could not refresh user from ID token.', { cause: e })] };
+        };
+      }
+      try {
+        const { user, idTokenResult } = await this.withSignInAuth(async auth => {
+          const userCredential = await this.callFirebase("userRefreshIdToken", () => auth.signInWithCustomToken(token), { idempotent: true });
+          const idTokenResult = await this.callFirebase("userRefreshIdToken", () => userCredential.user.getIdTokenResult(), { idempotent: true });
+          return { user: userCredential.user.toJSON(), idTokenResult };
+        });
+        var claims;
+        for (const key in idTokenResult.claims) {
+          if (reservedClaims.indexOf(key) === -1) {
+            claims = { ...claims, [key]: tryParseBool(idTokenResult.claims[key]) };
+          };
+        };
+        if (!('admin' in claims)) claim = { ...claims, admin: false };
+        var newToken = await this.callFirebase("userRefreshIdToken", () => this.adminAuth().createCustomToken(user.uid, claims), { idempotent: true });
+        activeUser = {
+          ...user,
+          customClaims: claims,
+          token: newToken
+        };
+
+      } catch (e) {
+        errors.push(new UnauthenticatedError('Could not validate user from token.', { cause: e }));
+      };
+    } else {
+      errors.push(new UnauthenticatedError("No token has been supplied to verify."));
+    };
+    if (errors.length > 0) activeUser = { errors };
+    return activeUser;
+  };
+
+  /** Update a registered user's info and custom claims.
+     *
+     * @webonly
+     *
+     * @example
+     * ```javascript
+     * 
+     *  const user = {
+     *    id: "4FVas9I0oTran87Hjf",
+     *    email: "user@mail.com",
+     *    password: "AStrongPassword", {This will reset an existing password}
+     *    displayName: "A Name",
+     *    disabled: false
+     *    customClaims: {
+     *      admin: false,
+     *      someRole: true
+     *    }
+     *  }
+     * 
+     * ```
+     *
+     * @param user A user object with custom claims.
+     * @return user.
+     */
+  async updateUserInfo(user) {
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser && (this.activeUser.customClaims.admin || user.email === this.activeUser.email)) {
+      try {
+        var customClaims = { admin: false };
+        var uid = null;
+        if (user.uid) {
+          uid = user.uid;
+          delete user.uid;
+        } else {
+          throw new InvalidInputError('User argument must have a uid to change the user info.')
+        };
+        if (user.customClaims) {
+          customClaims = { ...customClaims, ...user.customClaims };
+          await this.callFirebase("updateUserInfo", () => this.adminAuth().setCustomUserClaims(uid, customClaims), { idempotent: true });
+          delete user.customClaims;
+        }
+        if (Object.keys(user).length > 0) {
+          user = await this.callFirebase("updateUserInfo", () => this.adminAuth().updateUser(uid, user), { idempotent: true });
+        }
+        return { ...user, uid, customClaims };
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new ForbiddenError('Only admins can update the info of other users.');
+    };
+  };
+
+
+  /* FIRESTORE FUNCTIONS */
+
+  /** Add a document to a collection in the firestore.
+     *
+     * @webonly
+     *
+     * @example
+     * ```javascript
+     * 
+     *  const args = {
+     *    collection: "users",
+     *    data: {
+     *      firstName: "John",
+     *      lastName: "Doe"
+     *    }
+     *  }
+     * 
+     * ```
+     *
+     * @param args An object of arguments.
+     * @return javascript object of the document that were added.
+     */
+  async addDocument(args) {
+    const { collection } = args;
+    var { data } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        data = await this.runHooks(collection, "beforeCreate", { id: data.id, operation: "addDocument", data }, "data");
+        const validatedData = { ...this.validateDocument(collection, "create", data) };
+        data = this.fromGraphQLDocument(collection, data);
+        const { id } = data;
+        if (!id) await this.assertAccess(collection, "create", { data });
+        const collectionReference = this.collectionReference(collection);
+        var documentReference;
+        if (id) {
+          documentReference = collectionReference.doc(id);
+          delete data.id;
+        } else {
+          documentReference = collectionReference.doc();
+        }
+        const before = await this.historyBefore(collection, documentReference.id);
+        var existing = null;
+        if (id) {
+          await this.callFirebase("addDocument", () => this.db.runTransaction(async transaction => {
+            existing = await this.assertUpsertAccess(transaction, collection, documentReference, data);
+            const stamp = this.auditStamp(collection, existing ? "update" : "create");
+            transaction.set(documentReference, this.markNotDeleted(collection, { ...data, ...stamp }, existing), { merge: true });
+          }));
+        } else {
+          // The id is generated before the write, so retrying cannot add a second document.
+          const stamp = this.auditStamp(collection, "create");
+          await this.callFirebase("addDocument", () => documentReference.set(this.markNotDeleted(collection, { ...data, ...stamp }, null), { merge: true }), { idempotent: true });
+        };
+        await this.recordHistory(collection, documentReference.id, existing ? "update" : "create", before);
+        const documentSnapshot = await this.callFirebase("addDocument", () => documentReference.get(), { idempotent: true });
+        const document = this.toGraphQLDocument(collection, {
+          id: documentSnapshot.id,
+          ...documentSnapshot.data()
+        });
+        this.primeDocument(collection, document.id, document);
+        await this.runHooks(collection, "afterCreate", { id: document.id, operation: "addDocument", data: validatedData });
+        return document;
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Update a document in a firestore collection.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const args = {
+   *    collection: "users",
+   *    data: {
+   *      id: "3yXfDg56UilE2Wq"
+   *      firstName: "John",
+   *      lastName: "Doe"
+   *    }
+   *  }
+   * 
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return true.
+   */
+  async updateDocument(args) {
+    const { collection } = args;
+    var { data } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        if (data.id) {
+          const { id } = data;
+          data = { ...(await this.runHooks(collection, "beforeUpdate", { id, operation: "updateDocument", data }, "data")), id };
+          const validatedData = { ...this.validateDocument(collection, "update", data) };
+          data = this.fromGraphQLDocument(collection, data);
+          const documentReference = this.collectionReference(collection).doc(data.id);
+          delete data.id;
+          const before = await this.historyBefore(collection, documentReference.id);
+          var existing = null;
+          await this.callFirebase("updateDocument", () => this.db.runTransaction(async transaction => {
+            existing = await this.assertUpsertAccess(transaction, collection, documentReference, validatedData);
+            const stamp = this.auditStamp(collection, existing ? "update" : "create");
+            transaction.set(documentReference, this.markNotDeleted(collection, { ...data, ...stamp }, existing), { merge: true });
+          }), { idempotent: true });
+          await this.recordHistory(collection, documentReference.id, existing ? "update" : "create", before);
+          this.clearDocument(collection, documentReference.id);
+          await this.runHooks(collection, "afterUpdate", { id, operation: "updateDocument", data: validatedData });
+          return true;
+        } else {
+          throw new InvalidInputError('The document to update has no id.')
+        }
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Add an array field element to a document in a firestore collection.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const args = {
+   *    collection: "collection",
+   *    id: "uniqueId",
+   *    arrayField: "fieldName",
+   *    arrayValue: "value"
+   *  }
+   * 
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return true.
+   */
+  async addArrayElement(args) {
+    const { collection, id } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        if (id) {
+          const data = this.fieldWrites(collection, "addArrayElement", args);
+          await this.runHooks(collection, "beforeUpdate", { id, operation: "addArrayElement", data });
+          await this.assertAccess(collection, "update", { id });
+          const documentReference = this.collectionReference(collection).doc(id);
+          const before = await this.historyBefore(collection, id);
+          await this.callFirebase("addArrayElement", () => documentReference.update({
+            ...data,
+            ...this.auditStamp(collection, "update")
+          }), { idempotent: true });
+          await this.recordHistory(collection, id, "update", before);
+          this.clearDocument(collection, id);
+          await this.runHooks(collection, "afterUpdate", { id, operation: "addArrayElement", data });
+          return true;
+        } else {
+          throw new InvalidInputError('The document to update has no id.')
+        }
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Remove an array field element to a document in a firestore collection.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const args = {
+   *    collection: "collection",
+   *    id: "uniqueId",
+   *    arrayField: "fieldName",
+   *    arrayValue: "value"
+   *  }
+   * 
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return true.
+   */
+  async removeArrayElement(args) {
+    const { collection, id } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        if (id) {
+          const data = this.fieldWrites(collection, "removeArrayElement", args);
+          await this.runHooks(collection, "beforeUpdate", { id, operation: "removeArrayElement", data });
+          await this.assertAccess(collection, "update", { id });
+          const documentReference = this.collectionReference(collection).doc(id);
+          const before = await this.historyBefore(collection, id);
+          await this.callFirebase("removeArrayElement", () => documentReference.update({
+            ...data,
+            ...this.auditStamp(collection, "update")
+          }), { idempotent: true });
+          await this.recordHistory(collection, id, "update", before);
+          this.clearDocument(collection, id);
+          await this.runHooks(collection, "afterUpdate", { id, operation: "removeArrayElement", data });
+          return true;
+        } else {
+          throw new InvalidInputError('The document to update has no id.')
+        }
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Update a key in a map field in a document in a firestore collection.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const args = {
+   *    collection: "collection",
+   *    id: "uniqueId",
+   *    fieldName: "fieldName",
+   *    key: "key",
+   *    value: "value"
+   *  }
+   * 
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return true.
+   */
+  async insertOrUpdateField(args) {
+    const { collection, id } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        if (id) {
+          const data = this.fieldWrites(collection, "insertOrUpdateField", args);
+          await this.runHooks(collection, "beforeUpdate", { id, operation: "insertOrUpdateField", data });
+          await this.assertAccess(collection, "update", { id });
+          const before = await this.historyBefore(collection, id);
+          await this.callFirebase("insertOrUpdateField", () => this.collectionReference(collection)
+            .doc(id)
+            .set({
+              ...data,
+              ...this.auditStamp(collection, "update")
+            }, { merge: true }), { idempotent: true });
+          await this.recordHistory(collection, id, "update", before);
+          this.clearDocument(collection, id);
+          await this.runHooks(collection, "afterUpdate", { id, operation: "insertOrUpdateField", data });
+          return true
+        } else {
+          throw new InvalidInputError('The document to update has no id.');
+        };
+      } catch (error) {
+        throw mapFirebaseError(error);
+      }
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Remove a key from a map field in a document in a firestore collection.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const args = {
+   *    collection: "collection",
+   *    id: "uniqueId",
+   *    fieldName: "fieldName",
+   *    key: "key"
+   *  }
+   * 
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return true.
+   */
+  async removeField(args) {
+    const { collection, id } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        if (id) {
+          const data = this.fieldWrites(collection, "removeField", args);
+          await this.runHooks(collection, "beforeUpdate", { id, operation: "removeField", data });
+          await this.assertAccess(collection, "update", { id });
+          const before = await this.historyBefore(collection, id);
+          await this.callFirebase("removeField", () => this.collectionReference(collection)
+            .doc(id)
+            .set({
+              ...data,
+              ...this.auditStamp(collection, "update")
+            }, { merge: true }), { idempotent: true });
+          await this.recordHistory(collection, id, "update", before);
+          this.clearDocument(collection, id);
+          await this.runHooks(collection, "afterUpdate", { id, operation: "removeField", data });
+          return true
+        } else {
+          throw new InvalidInputError('The document to update has no id.');
+        };
+      } catch (error) {
+        throw mapFirebaseError(error);
+      }
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  // Function: createNestedObject( base, names[, value] )
+  //   base: the object on which to create the hierarchy
+  //   names: an array of strings contaning the names of the objects
+  //   value (optional): if given, will be the last object in the hierarchy
+  // Returns: the last object in the hierarchy
+  createNestedObject(base, names, value) {
+    // If a value is given, remove the last name and keep it for later:
+    var lastName = arguments.length === 3 ? names.pop() : false;
+
+    // Walk the hierarchy, creating new objects where needed.
+    // If the lastName was removed, then the last object is not set yet:
+    for (var i = 0; i < names.length; i++) {
+      base = base[names[i]] = base[names[i]] || {};
+    }
+
+    // If a value was given, set it to the last name:
+    if (lastName) base = base[lastName] = firebase.firestore.FieldValue.increment(value);
+
+    // Return the last object in the hierarchy:
+    return base;
+  };
+
+  /** Increment field value in a document in a firestore collection.
+     *
+     * @webonly
+     *
+     * @example
+     * ```javascript
+     * 
+     *  const args = {
+     *  }
+     * 
+     * ```
+     *
+     * @param args An object of arguments.
+     * @return true.
+     */
+  async incrementFields(args) {
+    const { collection, id } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        if (id) {
+          const data = this.fieldWrites(collection, "incrementFields", args);
+          await this.runHooks(collection, "beforeUpdate", { id, operation: "incrementFields", data });
+          await this.assertAccess(collection, "update", { id });
+          const before = await this.historyBefore(collection, id);
+          await this.callFirebase("incrementFields", () => this.collectionReference(collection)
+            .doc(id)
+            .set({ ...data, ...this.auditStamp(collection, "update") }, { merge: true }));
+          await this.recordHistory(collection, id, "update", before);
+          this.clearDocument(collection, id);
+          await this.runHooks(collection, "afterUpdate", { id, operation: "incrementFields", data });
+          return true;
+        } else {
+          throw new InvalidInputError('The document to update has no id.');
+        };
+      } catch (error) {
+        throw mapFirebaseError(error);
+      }
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Delete a document from a firestore collection.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const args = {
+   *    collection: "users",
+   *    documentId: "3yXfDg56UilE2Wq"
+   *  }
+   * 
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return true.
+   */
+  async deleteDocument(args) {
+    const { collection, documentId } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        await this.runHooks(collection, "beforeDelete", { id: documentId, operation: "deleteDocument" });
+        await this.assertAccess(collection, "delete", { id: documentId });
+        const documentReference = this.collectionReference(collection).doc(documentId);
+        const before = await this.historyBefore(collection, documentId);
+        if (this.isSoftDeleted(collection)) {
+          var alreadyDeleted = false;
+          await this.callFirebase("deleteDocument", () => this.db.runTransaction(async transaction => {
+            const documentSnapshot = await transaction.get(documentReference);
+            if (!documentSnapshot.exists) {
+              throw new NotFoundError(`No document '${documentId}' in '${collection}'.`);
+            };
+            // Deleting again would restart the purgeDeleted clock.
+            alreadyDeleted = documentSnapshot.get("deletedAt") != null;
+            if (alreadyDeleted) return;
+            transaction.update(documentReference, {
+              deletedAt: firebase.firestore.FieldValue.serverTimestamp(),
+              deletedBy: this.activeUser.uid,
+              ...this.auditStamp(collection, "update")
+            });
+          }), { idempotent: true });
+          this.clearDocument(collection, documentId);
+          if (alreadyDeleted) return true;
+        } else {
+          await this.callFirebase("deleteDocument", () => documentReference.delete(), { idempotent: true });
+          this.primeDocument(collection, documentId, null);
+        };
+        await this.recordHistory(collection, documentId, "delete", before);
+        await this.runHooks(collection, "afterDelete", { id: documentId, operation: "deleteDocument" });
+        return true;
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Restore a soft-deleted document in a firestore collection.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    collection: "orders",
+   *    documentId: "3yXfDg56UilE2Wq"
+   *  }
+   *  await restoreDocument(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return true.
+   */
+  async restoreDocument(args) {
+    const { collection, documentId } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (!this.isSoftDeleted(collection)) {
+      throw new InvalidInputError(`The collection '${collection}' does not use soft delete.`);
+    };
+    if (this.activeUser) {
+      try {
+        await this.runHooks(collection, "beforeUpdate", { id: documentId, operation: "restoreDocument", data: { deletedAt: null } });
+        await this.assertAccess(collection, "delete", { id: documentId });
+        const before = await this.historyBefore(collection, documentId);
+        await this.callFirebase("restoreDocument", () => this.collectionReference(collection).doc(documentId).update({
+          deletedAt: null,
+          deletedBy: firebase.firestore.FieldValue.delete(),
+          ...this.auditStamp(collection, "update")
+        }), { idempotent: true });
+        await this.recordHistory(collection, documentId, "restore", before);
+        this.clearDocument(collection, documentId);
+        await this.runHooks(collection, "afterUpdate", { id: documentId, operation: "restoreDocument", data: { deletedAt: null } });
+        return true;
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Permanently delete documents that were soft deleted before a date.
+   *
+   * Only admins can purge deleted documents.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    collection: "orders",
+   *    olderThan: "2021-01-01T00:00:00.000Z"
+   *  }
+   *  const count = await purgeDeleted(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return the number of purged documents.
+   */
+  async purgeDeleted(args) {
+    const { collection, olderThan } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (!this.isSoftDeleted(collection)) {
+      throw new InvalidInputError(`The collection '${collection}' does not use soft delete.`);
+    };
+    if (this.activeUser && this.activeUser.customClaims && this.activeUser.customClaims.admin) {
+      const olderThanDate = new Date(olderThan);
+      if (isNaN(olderThanDate.getTime())) {
+        throw new InvalidInputError(`Invalid date '${olderThan}'.`);
+      };
+      try {
+        const cutoff = firebase.firestore.Timestamp.fromDate(olderThanDate);
+        const queryRef = this.collectionReference(collection)
+          .where("deletedAt", "<", cutoff)
+          .limit(maxPurgeBatchSize);
+        var count = 0;
+        var querySnapshot = await this.callFirebase("purgeDeleted", () => queryRef.get(), { idempotent: true });
+        while (querySnapshot.docs.length > 0) {
+          const paths = querySnapshot.docs.map(doc => doc.ref.path);
+          await this.runPathHooks("beforeDelete", paths, { operation: "purgeDeleted" });
+          const writeBatch = this.db.batch();
+          querySnapshot.docs.forEach(doc => {
+            writeBatch.delete(doc.ref);
+            this.primeDocument(collection, doc.id, null);
+          });
+          await this.callFirebase("purgeDeleted", () => writeBatch.commit(), { idempotent: true });
+          await this.runPathHooks("afterDelete", paths, { operation: "purgeDeleted" });
+          count += querySnapshot.docs.length;
+          querySnapshot = await this.callFirebase("purgeDeleted", () => queryRef.get(), { idempotent: true });
+        };
+        return count;
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new ForbiddenError('Only admins can purge deleted documents.');
+    };
+  };
+
+  /** Add `deletedAt: null` to documents that do not have the field.
+   *
+   * Queries on soft-delete collections only find documents with a
+   * `deletedAt` field, so run this once for each collection when soft delete
+   * is enabled for it. Documents are read with a projection on `deletedAt`
+   * and updated in batches. Only admins can backfill collections.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const count = await backfillSoftDelete({ collection: "orders" });
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return the number of updated documents.
+   */
+  async backfillSoftDelete(args) {
+    const { collection } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (!this.isSoftDeleted(collection)) {
+      throw new InvalidInputError(`The collection '${collection}' does not use soft delete.`);
+    };
+    if (this.activeUser && this.activeUser.customClaims && this.activeUser.customClaims.admin) {
+      try {
+        const firestore = this.adminApp.firestore();
+        const queryRef = this.collectionReference(collection, firestore)
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .select("deletedAt")
+          .limit(maxPurgeBatchSize);
+        var count = 0;
+        var querySnapshot = await this.callFirebase("backfillSoftDelete", () => queryRef.get(), { idempotent: true });
+        while (querySnapshot.docs.length > 0) {
+          const references = querySnapshot.docs.filter(doc => doc.get("deletedAt") === undefined).map(doc => doc.ref);
+          await this.commitInChunks(firestore, references, (writeBatch, reference) => writeBatch.update(reference, { deletedAt: null }));
+          references.forEach(reference => this.clearDocument(collection, reference.id));
+          count += references.length;
+          const lastSnapshot = querySnapshot.docs[querySnapshot.docs.length - 1];
+          querySnapshot = await this.callFirebase("backfillSoftDelete", () => queryRef.startAfter(lastSnapshot).get(), { idempotent: true });
+        };
+        return count;
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new ForbiddenError('Only admins can backfill collections.');
+    };
+  };
+
+  /** Delete a document together with all of its nested subcollections.
+   *
+   * The document is removed permanently, also in collections that use soft
+   * delete. Every nested document is checked against the delete access rule
+   * of its collection before anything is deleted. Set `dryRun` to get the
+   * paths that would be deleted without deleting anything.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    collection: "users",
+   *    documentId: "3yXfDg56UilE2Wq",
+   *    dryRun: true
+   *  }
+   *  const { count, paths } = await deleteDocumentRecursive(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return the number and paths of the deleted documents.
+   */
+  async deleteDocumentRecursive(args) {
+    const { collection, documentId, dryRun = false } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        await this.assertAccess(collection, "delete", { id: documentId });
+        const firestore = this.adminApp.firestore();
+        const paths = await this.documentTreePaths(this.collectionReference(collection, firestore).doc(documentId).path);
+        await this.assertPathsAccess("delete", paths);
+        if (!dryRun) {
+          await this.runPathHooks("beforeDelete", paths, { operation: "deleteDocumentRecursive" });
+          await this.commitInChunks(firestore, paths, (writeBatch, path) => writeBatch.delete(firestore.doc(path)));
+          this.primeDocument(collection, documentId, null);
+          await this.runPathHooks("afterDelete", paths, { operation: "deleteDocumentRecursive" });
+        };
+        return { count: paths.length, paths };
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Delete every document that matches a query.
+   *
+   * Takes the same filter options as `getDocuments`. Every matched document
+   * is checked against the delete access rule before anything is deleted.
+   * Documents in collections that use soft delete are marked as deleted,
+   * unless `recursive` is set, which permanently deletes the documents and
+   * their nested subcollections after checking each nested document against
+   * the delete rule of its collection. Set `dryRun` to get the paths that would be
+   * deleted without deleting anything.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    collection: "sessions",
+   *    filterArgs: {
+   *      where: [
+   *        { fieldName: "expired", operator: "==", value: true }
+   *      ]
+   *    },
+   *    recursive: true
+   *  }
+   *  const { count } = await deleteWhere(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return the number and paths of the deleted documents.
+   */
+  async deleteWhere(args) {
+    const { collection, filterArgs, collectionGroup = false, recursive = false, dryRun = false } = args;
+    var filterOptions = { ...this.defaultFilterOptions, ...filterArgs };
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      filterOptions = await this.authorizeQuery(collection, filterOptions);
+      filterOptions = this.excludeDeleted(collection, filterOptions, args.includeDeleted);
+      const queryRef = this.buildQuery(collection, filterOptions, { collectionGroup });
+      try {
+        const querySnapshot = await this.callFirebase("deleteWhere", () => queryRef.get(), { idempotent: true });
+        for (const doc of querySnapshot.docs) {
+          await this.assertAccess(doc.ref.parent.path, "delete", {
+            id: doc.id,
+            document: this.toGraphQLDocument(doc.ref.parent.path, { id: doc.id, ...doc.data() })
+          });
+        };
+        var paths = querySnapshot.docs.map(doc => doc.ref.path);
+        if (recursive) {
+          paths = [];
+          for (const doc of querySnapshot.docs) {
+            paths.push(...(await this.documentTreePaths(doc.ref.path)));
+          };
+          await this.assertPathsAccess("delete", paths);
+        };
+        if (!dryRun) {
+          await this.runPathHooks("beforeDelete", paths, { operation: "deleteWhere" });
+          if (this.isSoftDeleted(collection) && !recursive) {
+            const deletedFields = {
+              deletedAt: firebase.firestore.FieldValue.serverTimestamp(),
+              deletedBy: this.activeUser.uid,
+              ...this.auditStamp(collection, "update")
+            };
+            const undeleted = querySnapshot.docs.filter(doc => doc.get("deletedAt") == null);
+            await this.commitInChunks(this.db, undeleted, (writeBatch, doc) => writeBatch.update(doc.ref, deletedFields));
+            querySnapshot.docs.forEach(doc => this.clearDocument(doc.ref.parent.path, doc.id));
+          } else {
+            const firestore = this.adminApp.firestore();
+            await this.commitInChunks(firestore, paths, (writeBatch, path) => writeBatch.delete(firestore.doc(path)));
+            querySnapshot.docs.forEach(doc => this.primeDocument(doc.ref.parent.path, doc.id, null));
+          };
+          await this.runPathHooks("afterDelete", paths, { operation: "deleteWhere" });
+        };
+        return { count: paths.length, paths };
+      } catch (err) {
+        throw mapFirebaseError(err, 'Function deleteWhere failed.');
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Retrieve the change history of a document in a firestore collection.
+   *
+   * History is recorded for collections configured with `history: true` in
+   * the `audit` constructor option.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    collection: "orders",
+   *    id: "3yXfDg56UilE2Wq",
+   *    limit: 20
+   *  }
+   *  const history = await getDocumentHistory(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return Array of history entries, newest first.
+   */
+  async getDocumentHistory(args) {
+    const { collection, id, limit = 50 } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        await this.assertAccess(collection, "read", { id });
+        const querySnapshot = await this.callFirebase("getDocumentHistory", () => this.collectionReference(collection)
+          .doc(id)
+          .collection("_history")
+          .orderBy("changedAt", "desc")
+          .limit(limit)
+          .get(), { idempotent: true });
+        return querySnapshot.docs.map(doc => this.toGraphQLValue({
+          id: doc.id,
+          ...doc.data()
+        }));
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Retrieve a document from a firestore collection.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const args = {
+   *    collection: "users",
+   *    id: "Van4Tij98lKfbOKP0"
+   *  }
+   *
+   *  // only read the fields the query asks for
+   *  const args = {
+   *    collection: "users",
+   *    id: "Van4Tij98lKfbOKP0",
+   *    select: selectFromInfo(info)
+   *  }
+   * 
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return Object representation of a document.
+   */
+  async getDocumentById(args) {
+    const { collection, id, includeDeleted = false, select } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      var document;
+      try {
+        await this.runHooks(collection, "beforeRead", { id });
+        document = select
+          ? await this.loadProjectedDocument(collection, id, select)
+          : await this.loadDocument(collection, id);
+      } catch (err) {
+        throw mapFirebaseError(err, 'Function getDocumentById failed.');
+      }
+      if (document) await this.assertAccess(collection, "read", { id, document });
+      if (document && document.deletedAt && this.isSoftDeleted(collection) && !this.allowDeleted(includeDeleted)) {
+        return null;
+      };
+      if (!document) return document;
+      try {
+        return await this.runHooks(collection, "afterRead", { id, document }, "document");
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Retrieve list of document IDs from a firestore collection.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const args = {
+   *    collection: "users"
+   *  }
+   * 
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return Array of documents.
+   */
+  async listDocuments(args) {
+    const { collection, includeDeleted = false } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      if (await this.assertAccess(collection, "list") !== true) {
+        throw new ForbiddenError(`Forbidden: list access to '${collection}' is not permitted.`);
+      };
+      try {
+        const collectionReference = this.collectionReference(collection, this.adminApp.firestore());
+        var queryRef = await this.callFirebase("listDocuments", () => collectionReference.listDocuments(), { idempotent: true });
+        var documents = [];
+        if (queryRef.length > 0) {
+          documents = queryRef.map(doc => doc.id);
+        };
+        if (this.isSoftDeleted(collection) && !this.allowDeleted(includeDeleted)) {
+          const deletedSnapshot = await this.callFirebase("listDocuments", () => collectionReference.where("deletedAt", "!=", null).select().get(), { idempotent: true });
+          const deletedIds = deletedSnapshot.docs.map(doc => doc.id);
+          documents = documents.filter(id => deletedIds.indexOf(id) === -1);
+        };
+        if (documents.length === 0) throw new NotFoundError("No data.");
+        return documents;
+      } catch (err) {
+        throw mapFirebaseError(err, 'Function listDocuments failed.');
+      }
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Retrieve data from a firestore collection.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const args = {
+   *    collection: "users",
+   *    filterArgs: {
+   *      orderBy: "lastName",
+   *      where: [
+   *        { fieldName: "active", operator: "==", value: false }
+   *      ]
+   *    }
+   *  }
+   *
+   *  // every "orders" subcollection, e.g. users/{uid}/orders
+   *  const args = {
+   *    collection: "orders",
+   *    collectionGroup: true
+   *  }
+   *
+   *  // only read some fields
+   *  const args = {
+   *    collection: "users",
+   *    select: ["firstName", "address.city"]
+   *  }
+   * 
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return Array of documents.
+   */
+  async getDocuments(args) {
+    const { collection, filterArgs, collectionGroup = false, select } = args;
+    var filterOptions = { ...this.defaultFilterOptions, ...filterArgs };
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      filterOptions = await this.runHooks(collection, "beforeRead", { filterOptions }, "filterOptions");
+      filterOptions = await this.authorizeQuery(collection, filterOptions);
+      filterOptions = this.excludeDeleted(collection, filterOptions, args.includeDeleted);
+      var queryRef = this.buildQuery(collection, filterOptions, { collectionGroup, select });
+      try {
+        var querySnapshot = await this.callFirebase("getDocuments", () => queryRef.get(), { idempotent: true });
+        var documents = [];
+        if (querySnapshot.docs.length > 0) {
+          documents = await this.afterRead(collection, querySnapshot.docs.map(doc => this.snapshotToDocument(collection, doc, collectionGroup)));
+        };
+        if (documents.length === 0) throw new NotFoundError("No data.");
+        return documents;
+      } catch (err) {
+        throw mapFirebaseError(err, 'Function getDocuments failed.');
+      }
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Count the documents matched by a query.
+   *
+   * Takes the same collection and filter options as `getDocuments`.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    collection: "orders",
+   *    filterArgs: {
+   *      where: [
+   *        { fieldName: "status", operator: "==", value: "paid" }
+   *      ]
+   *    }
+   *  }
+   *  const result = await countDocuments(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return the number of matching documents.
+   */
+  async countDocuments(args) {
+    const { collection, filterArgs, collectionGroup = false } = args;
+    var filterOptions = { ...this.defaultFilterOptions, ...filterArgs };
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      filterOptions = await this.runHooks(collection, "beforeRead", { filterOptions }, "filterOptions");
+      filterOptions = await this.authorizeQuery(collection, filterOptions);
+      filterOptions = this.excludeDeleted(collection, filterOptions, args.includeDeleted);
+      const queryRef = this.buildQuery(collection, filterOptions, { collectionGroup, admin: true });
+      try {
+        return await this.aggregateQuery(queryRef, "count");
+      } catch (err) {
+        throw mapFirebaseError(err, 'Function countDocuments failed.');
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Sum a numeric field over the documents matched by a query.
+   *
+   * Takes the same collection and filter options as `getDocuments`.
+   * Values that are not numbers are ignored.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    collection: "orders",
+   *    field: "total",
+   *    filterArgs: {
+   *      where: [
+   *        { fieldName: "status", operator: "==", value: "paid" }
+   *      ]
+   *    }
+   *  }
+   *  const result = await sumField(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return the sum, zero when no documents match.
+   */
+  async sumField(args) {
+    const { collection, filterArgs, collectionGroup = false, field } = args;
+    var filterOptions = { ...this.defaultFilterOptions, ...filterArgs };
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (typeof field !== "string" || field === "") {
+      throw new InvalidInputError("Function sumField needs the path of a field.");
+    };
+    if (this.activeUser) {
+      filterOptions = await this.runHooks(collection, "beforeRead", { filterOptions }, "filterOptions");
+      filterOptions = await this.authorizeQuery(collection, filterOptions);
+      filterOptions = this.excludeDeleted(collection, filterOptions, args.includeDeleted);
+      const queryRef = this.buildQuery(collection, filterOptions, { collectionGroup, admin: true });
+      try {
+        return await this.aggregateQuery(queryRef, "sum", field);
+      } catch (err) {
+        throw mapFirebaseError(err, 'Function sumField failed.');
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Average a numeric field over the documents matched by a query.
+   *
+   * Takes the same collection and filter options as `getDocuments`.
+   * Values that are not numbers are ignored.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    collection: "orders",
+   *    field: "total",
+   *    filterArgs: {
+   *      where: [
+   *        { fieldName: "status", operator: "==", value: "paid" }
+   *      ]
+   *    }
+   *  }
+   *  const result = await averageField(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return the average, zero when no documents match.
+   */
+  async averageField(args) {
+    const { collection, filterArgs, collectionGroup = false, field } = args;
+    var filterOptions = { ...this.defaultFilterOptions, ...filterArgs };
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (typeof field !== "string" || field === "") {
+      throw new InvalidInputError("Function averageField needs the path of a field.");
+    };
+    if (this.activeUser) {
+      filterOptions = await this.runHooks(collection, "beforeRead", { filterOptions }, "filterOptions");
+      filterOptions = await this.authorizeQuery(collection, filterOptions);
+      filterOptions = this.excludeDeleted(collection, filterOptions, args.includeDeleted);
+      const queryRef = this.buildQuery(collection, filterOptions, { collectionGroup, admin: true });
+      try {
+        return await this.aggregateQuery(queryRef, "average", field);
+      } catch (err) {
+        throw mapFirebaseError(err, 'Function averageField failed.');
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Retrieve a page of data from a firestore collection.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   * 
+   *  const args = {
+   *    collection: "users"
+   *  }
+   *
+   *  // also count every matching document
+   *  const args = {
+   *    collection: "users",
+   *    totalCount: true
+   *  }
+   * 
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return Array of documents.
+   */
+  async getPageOfDocuments(args) {
+    const { collection, filterArgs, pageArgs, collectionGroup = false, select, totalCount = false } = args;
+    var filterOptions = { ...this.defaultFilterOptions, ...filterArgs };
+    const pageOptions = { ...this.defaultPageOptions, ...pageArgs };
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      filterOptions = await this.runHooks(collection, "beforeRead", { filterOptions }, "filterOptions");
+      filterOptions = await this.authorizeQuery(collection, filterOptions);
+      filterOptions = this.excludeDeleted(collection, filterOptions, args.includeDeleted);
+      var queryRef = this.buildQuery(collection, filterOptions, { collectionGroup, select });
+      const firestore = queryRef.firestore;
+      const cursorReference = (cursor) => collectionGroup
+        ? firestore.doc(cursor)
+        : this.collectionReference(collection, firestore).doc(cursor);
+      try {
+        if (pageOptions.cursor && pageOptions.cursor.length > 0) {
+          switch (pageOptions.direction) {
+            case 'forward':
+              var forwardCursor = await this.callFirebase("getPageOfDocuments", () => cursorReference(pageOptions.cursor[pageOptions.cursor.length - 1])
+                .get(), { idempotent: true });
+              queryRef = queryRef
+                .startAfter(forwardCursor);
+              break;
+            case 'back':
+              pageOptions.cursor = pageOptions.cursor.slice(0, pageOptions.cursor.length - 2);
+              if (pageOptions.cursor.length > 0) {
+                var backCursor = await this.callFirebase("getPageOfDocuments", () => cursorReference(pageOptions.cursor[pageOptions.cursor.length - 1])
+                  .get(), { idempotent: true });
+                queryRef = queryRef
+                  .startAfter(backCursor);
+              }
+              break;
+            default:
+              break;
+          }
+        };
+        var querySnapshot = await this.callFirebase("getPageOfDocuments", () => queryRef.limit(pageOptions.pageSize).get(), { idempotent: true });
+        var documents = [];
+        if (querySnapshot.docs.length > 0) {
+          const lastDocument = querySnapshot.docs[querySnapshot.docs.length - 1];
+          pageOptions.cursor.push(collectionGroup ? lastDocument.ref.path : lastDocument.id);
+          documents = await this.afterRead(collection, querySnapshot.docs.map(doc => this.snapshotToDocument(collection, doc, collectionGroup)));
+        };
+        if (documents.length === 0 && pageOptions.cursor.length) throw new NotFoundError("No more paged data.");
+        const result = { documents, filterOptions, pageOptions };
+        if (totalCount) {
+          result.totalCount = await this.aggregateQuery(this.buildQuery(collection, filterOptions, { collectionGroup, admin: true }), "count");
+        };
+        return result;
+      } catch (err) {
+        throw mapFirebaseError(err);
+      }
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    }
+  };
+
+  /** Retrieve a Relay connection of documents from a firestore collection.
+   *
+   * Cursors are opaque base64 strings that encode the orderBy field values
+   * and the document id, so the client never needs to keep a cursor history.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    collection: "users",
+   *    filterArgs: {
+   *      orderBy: "lastName"
+   *    },
+   *    first: 10,
+   *    after: "eyJ2YWx1ZXMiOlsiRG9lIl0sImlkIjoiM3lYZkRnNTZVaWxFMldxIn0="
+   *  }
+   *  const { edges, pageInfo } = await getConnection(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return connection object with edges and pageInfo.
+   */
+  async getConnection(args) {
+    const { collection, filterArgs, after, before } = args;
+    var { first, last } = args;
+    var filterOptions = { ...this.defaultFilterOptions, ...filterArgs };
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (first != null && last != null) {
+      throw new InvalidInputError("Connection arguments 'first' and 'last' cannot be combined.");
+    };
+    if ((first != null && first < 0) || (last != null && last < 0)) {
+      throw new InvalidInputError("Connection arguments 'first' and 'last' cannot be negative.");
+    };
+    if (first == null && last == null) first = this.defaultPageOptions.pageSize;
+    if (this.activeUser) {
+      try {
+        filterOptions = await this.runHooks(collection, "beforeRead", { filterOptions }, "filterOptions");
+        filterOptions = await this.authorizeQuery(collection, filterOptions);
+        filterOptions = this.excludeDeleted(collection, filterOptions, args.includeDeleted);
+        if (!filterOptions.orderBy || filterOptions.orderBy === "") {
+          const inequality = (filterOptions.where || [])
+            .find(item => (item.fieldName || item.field) && inequalityOperators.indexOf(item.operator) !== -1);
+          if (inequality) filterOptions.orderBy = inequality.fieldName || inequality.field;
+        };
+        var queryRef = this.buildQuery(collection, filterOptions);
+        const orderByFields = filterOptions.orderBy && filterOptions.orderBy !== ""
+          ? filterOptions.orderBy.split(',').map(item => item.trim())
+          : [];
+        const sortOrderArray = (filterOptions.sortOrder || "").split(',');
+        const lastSortOrder = orderByFields.length > 0 && sortOrderArray[orderByFields.length - 1]
+          ? sortOrderArray[orderByFields.length - 1].trim()
+          : "asc";
+        queryRef = queryRef.orderBy(firebase.firestore.FieldPath.documentId(), lastSortOrder);
+
+        if (after) {
+          const { values, id } = decodeCursor(after);
+          queryRef = queryRef.startAfter(...values, id);
+        };
+        if (before) {
+          const { values, id } = decodeCursor(before);
+          queryRef = queryRef.endBefore(...values, id);
+        };
+        queryRef = first != null ? queryRef.limit(first + 1) : queryRef.limitToLast(last + 1);
+
+        const querySnapshot = await this.callFirebase("getConnection", () => queryRef.get(), { idempotent: true });
+        var docs = querySnapshot.docs;
+        var hasMore = false;
+        if (first != null && docs.length > first) {
+          hasMore = true;
+          docs = docs.slice(0, first);
+        };
+        if (last != null && docs.length > last) {
+          hasMore = true;
+          docs = docs.slice(docs.length - last);
+        };
+
+        const nodes = await this.afterRead(collection, docs.map(doc => this.toGraphQLDocument(collection, {
+          id: doc.id,
+          ...doc.data()
+        })));
+        const edges = docs.map((doc, index) => ({
+          node: nodes[index],
+          cursor: encodeCursor(orderByFields.map(field => doc.get(field)), doc.id)
+        }));
+        return {
+          edges,
+          pageInfo: {
+            hasNextPage: first != null ? hasMore : !!before,
+            hasPreviousPage: last != null ? hasMore : !!after,
+            startCursor: edges.length > 0 ? edges[0].cursor : null,
+            endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+          }
+        };
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    }
+  };
+
+  /* SUBSCRIPTION FUNCTIONS */
+
+  /** Subscribe to changes of a document in a firestore collection.
+   *
+   * Returns an async iterator that can be returned from an Apollo
+   * subscription resolver. Each event has a `type` of added, modified or
+   * removed and the `document`. The snapshot listener is removed when the
+   * client unsubscribes.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    collection: "users",
+   *    id: "Van4Tij98lKfbOKP0"
+   *  }
+   *  const iterator = await subscribeToDocument(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return async iterator of change events.
+   */
+  async subscribeToDocument(args) {
+    const { collection, id } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      await this.runHooks(collection, "beforeRead", { id });
+      const documentReference = this.collectionReference(collection).doc(id);
+      return listenerIterator((push, fail) => {
+        var exists = false;
+        var queue = Promise.resolve();
+        return documentReference.onSnapshot(documentSnapshot => {
+          queue = queue.then(async () => {
+            if (!documentSnapshot.exists) {
+              if (exists) push({ type: "removed", document: { id: documentSnapshot.id } });
+              exists = false;
+              return;
+            };
+            const document = this.toGraphQLDocument(collection, {
+              id: documentSnapshot.id,
+              ...documentSnapshot.data()
+            });
+            await this.assertAccess(collection, "read", { id, document });
+            push({ type: exists ? "modified" : "added", document: await this.runHooks(collection, "afterRead", { id, document }, "document") });
+            exists = true;
+          }).catch(err => fail(mapFirebaseError(err)));
+        }, err => fail(mapFirebaseError(err)));
+      });
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Subscribe to changes of the documents matching a query.
+   *
+   * Accepts the same collection, filter and collection group options as
+   * `getDocuments`. Returns an async iterator that can be returned from an
+   * Apollo subscription resolver, with one event per document change:
+   * `{ type, document, oldIndex, newIndex }` where type is added, modified
+   * or removed. The snapshot listener is removed when the client
+   * unsubscribes.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    collection: "orders",
+   *    filterArgs: {
+   *      where: [
+   *        { fieldName: "status", operator: "==", value: "open" }
+   *      ]
+   *    }
+   *  }
+   *  const iterator = await subscribeToQuery(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return async iterator of change events.
+   */
+  async subscribeToQuery(args) {
+    const { collection, filterArgs, collectionGroup = false } = args;
+    var filterOptions = { ...this.defaultFilterOptions, ...filterArgs };
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      filterOptions = await this.runHooks(collection, "beforeRead", { filterOptions }, "filterOptions");
+      filterOptions = await this.authorizeQuery(collection, filterOptions);
+      filterOptions = this.excludeDeleted(collection, filterOptions, args.includeDeleted);
+      const queryRef = this.buildQuery(collection, filterOptions, { collectionGroup });
+      return listenerIterator((push, fail) => {
+        var queue = Promise.resolve();
+        return queryRef.onSnapshot(querySnapshot => {
+          const changes = querySnapshot.docChanges();
+          queue = queue.then(async () => {
+            for (const change of changes) {
+              const document = this.snapshotToDocument(collection, change.doc, collectionGroup);
+              push({
+                type: change.type,
+                document: await this.runHooks(collection, "afterRead", { id: document.id, document }, "document"),
+                oldIndex: change.oldIndex,
+                newIndex: change.newIndex
+              });
+            };
+          }).catch(err => fail(mapFirebaseError(err)));
+        }, err => fail(mapFirebaseError(err)));
+      });
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /* STORAGE FUNCTIONS */
+
+  /** Enforce the configured storage rule for an operation on a file.
+   *
+   * Storage rules are configured per operation (read, list, create, update
+   * or delete) in `storageOptions.rules` and take the same form as the
+   * collection access rules. An `ownerField` is checked against the file's
+   * custom metadata.
+   *
+   * Creating a file that already exists replaces it, so the update rule is
+   * checked against the existing file instead. The generation that was
+   * checked is returned, for the write to use as a precondition.
+   *
+   * @webonly
+   *
+   * @param operation read, list, create, update or delete.
+   * @param path the path of the file, or the prefix for list.
+   * @param metadata the custom metadata being written.
+   * @return for create, the generation of the existing file or 0 when there is none, if any rules apply.
+   */
+  async assertStorageAccess(operation, path, metadata) {
+    if (!this.activeUser || !this.activeUser.uid) {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+    const { rules } = this.storageOptions;
+    if (rules[operation] === undefined && !(operation === "create" && rules.update !== undefined)) return;
+    var document, generation;
+    if (operation === "create") {
+      const [existing] = await this.adminApp.storage().bucket().file(path).getMetadata()
+        .catch(err => { if (err.code === 404) return [null]; throw err; });
+      generation = existing ? existing.generation : 0;
+      if (existing) {
+        operation = "update";
+        document = existing.metadata || {};
+      };
+    } else if (operation === "read" || operation === "update" || operation === "delete") {
+      const [existing] = await this.adminApp.storage().bucket().file(path).getMetadata();
+      document = existing.metadata || {};
+    };
+    const result = await this.checkAccessRule(rules[operation], { collection: "storage", operation, id: path, document, data: metadata });
+    if (result !== true) {
+      throw new ForbiddenError(`Forbidden: ${operation} access to '${path}' is not permitted.`);
+    };
+    return generation;
+  };
+
+  /** Check a file's size and content type against the storage limits.
+   *
+   * @webonly
+   *
+   * @param contentType the content type of the file.
+   * @param size the size of the file in bytes, when known.
+   * @return nothing.
+   */
+  validateFile(contentType, size) {
+    const { maxFileSize, allowedContentTypes } = this.storageOptions;
+    if (!contentTypeAllowed(allowedContentTypes, contentType)) {
+      throw new InvalidInputError(`Files of type '${contentType}' are not allowed.`);
+    };
+    if (maxFileSize && size > maxFileSize) {
+      throw new InvalidInputError(`Files may be up to ${maxFileSize} bytes.`);
+    };
+  };
+
+  /** Generate a signed URL to upload a file to the storage bucket.
+   *
+   * The upload must use the given content type and send the returned
+   * headers. The size limit is enforced by the URL when `maxFileSize` is
+   * configured, and when storage rules are configured the upload fails if
+   * the file was created or replaced after the rules were checked.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    path: "avatars/4FVas9I0oTran87Hjf.png",
+   *    contentType: "image/png",
+   *    size: 52311
+   *  }
+   *  const { url, expires } = await getUploadUrl(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return signed url and its expiry date.
+   */
+  async getUploadUrl(args) {
+    const { path, contentType, size, metadata } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        const generation = await this.assertStorageAccess("create", path, metadata);
+        this.validateFile(contentType, size);
+        const expires = new Date(Date.now() + this.storageOptions.urlExpiresIn);
+        const extensionHeaders = {};
+        if (this.storageOptions.maxFileSize) {
+          extensionHeaders['x-goog-content-length-range'] = `0,${this.storageOptions.maxFileSize}`;
+        };
+        if (generation !== undefined) {
+          extensionHeaders['x-goog-if-generation-match'] = String(generation);
+        };
+        const [url] = await this.adminApp.storage().bucket().file(path).getSignedUrl({
+          version: 'v4',
+          action: 'write',
+          expires,
+          contentType,
+          extensionHeaders
+        });
+        return { url, expires: expires.toISOString(), headers: { 'Content-Type': contentType, ...extensionHeaders } };
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Generate a signed URL to download a file from the storage bucket.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const { url, expires } = await getDownloadUrl({ path: "avatars/4FVas9I0oTran87Hjf.png" });
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return signed url and its expiry date.
+   */
+  async getDownloadUrl(args) {
+    const { path } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        await this.assertStorageAccess("read", path);
+        const expires = new Date(Date.now() + this.storageOptions.urlExpiresIn);
+        const [url] = await this.adminApp.storage().bucket().file(path).getSignedUrl({
+          version: 'v4',
+          action: 'read',
+          expires
+        });
+        return { url, expires: expires.toISOString() };
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Upload a file from a GraphQL `Upload` scalar to the storage bucket.
+   *
+   * The file is streamed to the bucket and the upload is aborted as soon as
+   * it exceeds `maxFileSize`.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    path: "avatars/4FVas9I0oTran87Hjf.png",
+   *    file: upload,
+   *    metadata: { ownerUid: "4FVas9I0oTran87Hjf" }
+   *  }
+   *  const file = await uploadFile(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return file metadata.
+   */
+  async uploadFile(args) {
+    const { path, file, metadata } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        const generation = await this.assertStorageAccess("create", path, metadata);
+        const { createReadStream, mimetype } = await file;
+        this.validateFile(mimetype);
+        const { maxFileSize } = this.storageOptions;
+        var size = 0;
+        const sizeLimit = new Transform({
+          transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (maxFileSize && size > maxFileSize) {
+              callback(new InvalidInputError(`Files may be up to ${maxFileSize} bytes.`));
+            } else {
+              callback(null, chunk);
+            };
+          }
+        });
+        const storageFile = this.adminApp.storage().bucket().file(path);
+        // The generation makes the upload fail if the file changed since the rules were checked.
+        const targetFile = generation === undefined ? storageFile : this.adminApp.storage().bucket().file(path, { generation });
+        await new Promise((resolve, reject) => pipeline(
+          createReadStream(),
+          sizeLimit,
+          targetFile.createWriteStream({ resumable: false, metadata: { contentType: mimetype, metadata } }),
+          err => err ? reject(err) : resolve()
+        ));
+        const [uploaded] = await storageFile.getMetadata();
+        return fileMetadata(uploaded);
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** List the files under a prefix in the storage bucket.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    prefix: "avatars/",
+   *    pageSize: 50,
+   *    pageToken: null
+   *  }
+   *  const { files, pageToken } = await listFiles(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return page object of file metadata.
+   */
+  async listFiles(args) {
+    const { prefix, pageSize, pageToken } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        await this.assertStorageAccess("list", prefix);
+        const [files, nextQuery] = await this.adminApp.storage().bucket().getFiles({
+          prefix,
+          maxResults: pageSize || 50,
+          pageToken,
+          autoPaginate: false
+        });
+        return {
+          files: files.map(file => fileMetadata(file.metadata)),
+          pageSize: pageSize || 50,
+          pageToken: nextQuery ? nextQuery.pageToken : null
+        };
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Retrieve the metadata of a file in the storage bucket.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const file = await getFileMetadata({ path: "avatars/4FVas9I0oTran87Hjf.png" });
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return file metadata.
+   */
+  async getFileMetadata(args) {
+    const { path } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        await this.assertStorageAccess("read", path);
+        const [metadata] = await this.adminApp.storage().bucket().file(path).getMetadata();
+        return fileMetadata(metadata);
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
+
+  /** Update the metadata of a file in the storage bucket.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    path: "avatars/4FVas9I0oTran87Hjf.png",
+   *    contentType: "image/png",
+   *    metadata: { caption: "Profile picture" }
+   *  }
+   *  const file = await updateFileMetadata(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return file metadata.
+   */
+  async updateFileMetadata(args) {
+    const { path, contentType, metadata } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser) {
+      try {
+        await this.assertStorageAccess("update", path, metadata);
+        if (contentType) this.validateFile(contentType);
+        const [updated] = await this.adminApp.storage().bucket().file(path).setMetadata({
+          ...(contentType ? { contentType } : {}),
+          ...(metadata ? { metadata } : {})
+        });
+        return fileMetadata(updated);
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+  };
 
-  /** Retrieve a list of users.
+  /** Delete a file from the storage bucket.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
-   *  const args = {
-   *    pageSize: 20,
-   *    pageToken: null
-   *  }
-   *  const users = await getPageOfUsers(args);
-   * 
+   *
+   *  await deleteFile({ path: "avatars/4FVas9I0oTran87Hjf.png" });
+   *
    * ```
    *
    * @param args An object of arguments.
-   * @return page object of users.
+   * @return true.
    */
-  async getPageOfUsers(args) {
+  async deleteFile(args) {
+    const { path } = args;
     if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
     };
-    if (this.activeUser && this.activeUser.customClaims.admin) {
-      const { pageSize, pageToken } = args;
-      const listUsersResult = await admin.auth().listUsers(pageSize || 50, pageToken);
-      listUsersResult.users.forEach(user => {
-        for (const property in user.customClaims) {
-          user.customClaims[property] = tryParseBool(user.customClaims[property]);
-        }
-      });
-      return {
-        users: listUsersResult.users,
-        pageSize: listUsersResult.pageSize || pageSize,
-        pageToken: listUsersResult.pageToken
+    if (this.activeUser) {
+      try {
+        await this.assertStorageAccess("delete", path);
+        await this.adminApp.storage().bucket().file(path).delete();
+        return true;
+      } catch (err) {
+        throw mapFirebaseError(err);
       };
-    }
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
+    };
   };
 
-  /** Sign up a new user in firestore with username and password.
+  /* REALTIME DATABASE FUNCTIONS */
+
+  /** Enforce the configured database rule for an operation on a path.
+   *
+   * Database rules are configured per path pattern in
+   * `databaseOptions.rules`, with a read and a write rule that take the same
+   * form as the collection access rules. A pattern segment that starts with
+   * `$` matches any key and is passed to predicates in `params`. The longest
+   * pattern that matches the start of the path applies, and the `*` entry
+   * applies when none does. An `ownerField` is checked against the value at
+   * the path. Writes to the root of the database are always rejected.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
-   *  const args = {
-   *    email: "user@mail.com",
-   *    password: "AStrongPassword"
+   *
+   *  const databaseOptions = {
+   *    rules: {
+   *      "presence/$uid": {
+   *        read: true,
+   *        write: ({ activeUser, params }) => params.uid === activeUser.uid
+   *      },
+   *      "*": { read: { claims: { admin: true } }, write: { claims: { admin: true } } }
+   *    }
    *  }
-   * 
+   *  await assertDatabaseAccess("write", "presence/4FVas9I0oTran87Hjf", { online: true });
+   *
    * ```
    *
-   * @param args An object of arguments.
-   * @return active user.
+   * @param operation read or write.
+   * @param path the path of the value.
+   * @param data the value being written.
+   * @param document the value at the path, when it has been read already.
+   * @return nothing.
    */
-  async userSignUp(args) {
-    const {
-      email,
-      password
-    } = args;
-
-    try {
-      var secret = password;
-      const userCredential = await this.auth().createUserWithEmailAndPassword(email, secret);
-      const token = await admin.auth().createCustomToken(userCredential.user.uid, this.defaultCustomClaims);
-      var user = userCredential.user.toJSON();
-      admin.auth().setCustomUserClaims(user.uid, this.defaultCustomClaims);
-      var activeUser = {
-        ...user,
-        token,
-        customClaims: this.defaultCustomClaims
-      };
-      this.activeUser = activeUser;
-      return activeUser;
-    } catch (e) {
-      console.log('Failed to sign up user', args, e);
-      throw e;
-    }
+  async assertDatabaseAccess(operation, path, data, document) {
+    if (!this.activeUser || !this.activeUser.uid) {
+      throw new UnauthenticatedError('Not Authorised');
+    };
+    const segments = typeof path === "string" ? path.split('/').filter(segment => segment !== "") : [];
+    if (operation === "write" && segments.length === 0) {
+      throw new InvalidInputError('Values cannot be written to the root of the database.');
+    };
+    const match = databaseRule(this.databaseOptions.rules, segments);
+    if (!match || match.rule[operation] === undefined) return;
+    if (document === undefined) {
+      const snapshot = await this.adminApp.database().ref(segments.join('/')).once('value');
+      document = snapshot.val();
+    };
+    const result = await this.checkAccessRule(match.rule[operation], { collection: "database", operation, id: segments.join('/'), document, data, params: match.params });
+    if (result !== true) {
+      throw new ForbiddenError(`Forbidden: ${operation} access to '${segments.join('/')}' is not permitted.`);
+    };
   };
 
-  /** Sign user in to the firestore with username and password.
+  /** Retrieve the value at a path in the realtime database.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
-   *  const args = {
-   *    email: "user@mail.com",
-   *    password: "AStrongPassword"
-   *  }
-   *  const user = await userSignIn(args);
-   * 
+   *
+   *  const presence = await getValue({ path: "presence/4FVas9I0oTran87Hjf" });
+   *
    * ```
    *
    * @param args An object of arguments.
-   * @return active user.
+   * @return the value, or null when there is none.
    */
-  async userSignIn(args) {
-    const {
-      email,
-      password
-    } = args;
-
-    try {
-      const signIn = await this.auth().signInWithEmailAndPassword(email, password);
-      var user = signIn.user.toJSON();
-      var idTokenResult = await this.auth().currentUser.getIdTokenResult();
-      var claims;
-      for (const key in idTokenResult.claims) {
-        if (reservedClaims.indexOf(key) === -1) {
-          claims = { ...claims, [key]: tryParseBool(idTokenResult.claims[key]) };
-        }
-      };
-      if (!('admin' in claims)) claim = { ...claims, admin: false };
-      const token = await admin.auth().createCustomToken(signIn.user.uid, claims);
-      var currentUser = {
-        ...user,
-        token,
-        customClaims: claims
-      };
-      this.activeUser = currentUser;
-      return currentUser;
-    } catch (e) {
-      console.log('Sign in error', e)
-      throw e
-    }
-  };
-
-  /** Force a refresh of the current user's id token.
- *
- * @webonly
- *
- * @example
- * ```javascript
- * 
- *  const users = await refreshIdToken(token);
- * 
- * ```
- *
- * @param token the authentication token object.
- * @return active user.
- */
-  async userRefreshIdToken(token) {
-    var errors = [];
-    var activeUser = {};
-    if (token) {
-
-      if (!this.activeUser || this.activeUser.token !== token) {
-        throw new Error("The token supplied does not match the  current loggen in user's credentials.");
-      }
+  async getValue(args) {
+    const { path } = args;
+    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (this.activeUser && this.activeUser.uid) {
       try {
-        const userCredential = await this.auth().signInWithCustomToken(token);
-        const idTokenResult = await userCredential.user.getIdTokenResult();
-        var claims;
-        for (const key in idTokenResult.claims) {
-          if (reservedClaims.indexOf(key) === -1) {
-            claims = { ...claims, [key]: tryParseBool(idTokenResult.claims[key]) };
-          };
-        };
-        if (!('admin' in claims)) claim = { ...claims, admin: false };
-        var newToken = await admin.auth().createCustomToken(userCredential.user.uid, claims);
-        activeUser = {
-          ...userCredential.user.toJSON(),
-          customClaims: claims,
-          token: newToken
-        };
-
-      } catch (e) {
-        errors.push(new Error('Could not validate user from token.'));
+        const snapshot = await this.adminApp.database().ref(path).once('value');
+        await this.assertDatabaseAccess("read", path, undefined, snapshot.val());
+        return snapshot.val();
+      } catch (err) {
+        throw mapFirebaseError(err);
       };
     } else {
-      errors.push(new Error("No token has been supplied to verify."));
-    };
-    if (errors.length > 0) activeUser = { errors };
-    return activeUser;
-  };
-
-  /** Update a registered user's info and custom claims.
-     *
-     * @webonly
-     *
-     * @example
-     * ```javascript
-     * 
-     *  const user = {
-     *    id: "4FVas9I0oTran87Hjf",
-     *    email: "user@mail.com",
-     *    password: "AStrongPassword", {This will reset an existing password}
-     *    displayName: "A Name",
-     *    disabled: false
-     *    customClaims: {
-     *      admin: false,
-     *      someRole: true
-     *    }
-     *  }
-     * 
-     * ```
-     *
-     * @param user A user object with custom claims.
-     * @return user.
-     */
-  async updateUserInfo(user) {
-    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
+      throw new UnauthenticatedError('Not Authorised');
     };
-    if (this.activeUser && (this.activeUser.customClaims.admin || user.email === this.activeUser.email)) {
-      var customClaims = { admin: false };
-      var uid = null;
-      if (user.uid) {
-        uid = user.uid;
-        delete user.uid;
-      } else {
-        throw new Error('User argument must have a uid to change the user info.')
-      };
-      if (user.customClaims) {
-        customClaims = { ...customClaims, ...user.customClaims };
-        admin.auth().setCustomUserClaims(uid, customClaims);
-        delete user.customClaims;
-      }
-      if (Object.keys(user).length > 0) {
-        user = await admin.auth().updateUser(uid, user);
-      }
-      return { ...user, uid, customClaims };
-    }
   };
 
-
-  /* FIRESTORE FUNCTIONS */
-
-  /** Add a document to a collection in the firestore.
-     *
-     * @webonly
-     *
-     * @example
-     * ```javascript
-     * 
-     *  const args = {
-     *    collection: "users",
-     *    data: {
-     *      firstName: "John",
-     *      lastName: "Doe"
-     *    }
-     *  }
-     * 
-     * ```
-     *
-     * @param args An object of arguments.
-     * @return javascript object of the document that were added.
-     */
-  async addDocument(args) {
-    const { collection, data } = args;
+  /** Write a value to a path in the realtime database, replacing it.
+   *
+   * @webonly
+   *
+   * @example
+   * ```javascript
+   *
+   *  const args = {
+   *    path: "presence/4FVas9I0oTran87Hjf",
+   *    value: { online: true }
+   *  }
+   *  await setValue(args);
+   *
+   * ```
+   *
+   * @param args An object of arguments.
+   * @return true.
+   */
+  async setValue(args) {
+    const { path, value } = args;
     if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
     };
-    if (this.activeUser) {
-      const collectionReference = this.db.collection(collection);
-      var documentReference;
-      if (data.id) {
-        documentReference = collectionReference.doc(data.id);
-        delete data.id;
-      } else {
-        documentReference = collectionReference.doc();
-      }
-      await documentReference.set(data, { merge: true });
-      const documentSnapshot = await documentReference.get();
-      return {
-        id: documentSnapshot.id,
-        ...documentSnapshot.data()
+    if (this.activeUser && this.activeUser.uid) {
+      try {
+        await this.assertDatabaseAccess("write", path, value);
+        await this.adminApp.database().ref(path).set(value);
+        return true;
+      } catch (err) {
+        throw mapFirebaseError(err);
       };
     } else {
-      throw new Error('Not Authorised');
+      throw new UnauthenticatedError('Not Authorised');
     };
   };
 
-  /** Update a document in a firestore collection.
+  /** Update the children of a path in the realtime database.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
+   *
    *  const args = {
-   *    collection: "users",
-   *    data: {
-   *      id: "3yXfDg56UilE2Wq"
-   *      firstName: "John",
-   *      lastName: "Doe"
-   *    }
+   *    path: "presence/4FVas9I0oTran87Hjf",
+   *    value: { online: false, lastSeen: 1612345678901 }
    *  }
-   * 
+   *  await updateValue(args);
+   *
    * ```
    *
    * @param args An object of arguments.
    * @return true.
    */
-  async updateDocument(args) {
-    const { collection, data } = args;
+  async updateValue(args) {
+    const { path, value } = args;
     if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
     };
-    if (this.activeUser) {
-      if (data.id) {
-        const documentReference = this.db.collection(collection).doc(data.id);
-        delete data.id;
-        await documentReference.set(data, { merge: true });
+    if (this.activeUser && this.activeUser.uid) {
+      try {
+        await this.assertDatabaseAccess("write", path, value);
+        await this.adminApp.database().ref(path).update(value);
         return true;
-      } else {
-        throw new Error('The document to update has no id.')
-      }
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
     } else {
-      throw new Error('Not Authorised');
+      throw new UnauthenticatedError('Not Authorised');
     };
   };
 
-  /** Add an array field element to a document in a firestore collection.
+  /** Add a value to a list in the realtime database under a generated key.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
+   *
    *  const args = {
-   *    collection: "collection",
-   *    id: "uniqueId",
-   *    arrayField: "fieldName",
-   *    arrayValue: "value"
+   *    path: "chats/general/messages",
+   *    value: { text: "Hello", uid: "4FVas9I0oTran87Hjf" }
    *  }
-   * 
+   *  const { key } = await pushValue(args);
+   *
    * ```
    *
    * @param args An object of arguments.
-   * @return true.
+   * @return the generated key.
    */
-  async addArrayElement(args) {
-    const { collection, id, arrayField, arrayValue } = args;
+  async pushValue(args) {
+    const { path, value } = args;
     if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
     };
-    if (this.activeUser) {
-      if (id) {
-        const documentReference = this.db.collection(collection).doc(id);
-        await documentReference.update({
-          [arrayField]: firebase.firestore.FieldValue.arrayUnion(arrayValue)
-        });
-        return true;
-      } else {
-        throw new Error('The document to update has no id.')
-      }
+    if (this.activeUser && this.activeUser.uid) {
+      try {
+        const reference = this.adminApp.database().ref(path).push();
+        await this.assertDatabaseAccess("write", `${path || ""}/${reference.key}`, value, null);
+        await reference.set(value);
+        return { key: reference.key };
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
     } else {
-      throw new Error('Not Authorised');
+      throw new UnauthenticatedError('Not Authorised');
     };
   };
 
-  /** Remove an array field element to a document in a firestore collection.
+  /** Remove the value at a path in the realtime database.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
-   *  const args = {
-   *    collection: "collection",
-   *    id: "uniqueId",
-   *    arrayField: "fieldName",
-   *    arrayValue: "value"
-   *  }
-   * 
+   *
+   *  await removeValue({ path: "presence/4FVas9I0oTran87Hjf" });
+   *
    * ```
    *
    * @param args An object of arguments.
    * @return true.
    */
-  async removeArrayElement(args) {
-    const { collection, id, arrayField, arrayValue } = args;
+  async removeValue(args) {
+    const { path } = args;
     if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
     };
-    if (this.activeUser) {
-      if (id) {
-        const documentReference = this.db.collection(collection).doc(id);
-        await documentReference.update({
-          [arrayField]: firebase.firestore.FieldValue.arrayRemove(arrayValue)
-        });
+    if (this.activeUser && this.activeUser.uid) {
+      try {
+        await this.assertDatabaseAccess("write", path, null);
+        await this.adminApp.database().ref(path).remove();
         return true;
-      } else {
-        throw new Error('The document to update has no id.')
-      }
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
     } else {
-      throw new Error('Not Authorised');
+      throw new UnauthenticatedError('Not Authorised');
     };
   };
 
-  /** Update a key in a map field in a document in a firestore collection.
+  /** Query the children of a path in the realtime database.
+   *
+   * Order by one of `orderByChild`, `orderByKey` or `orderByValue`, then
+   * limit the range with `startAt`, `endAt` or `equalTo` and the number of
+   * results with `limitToFirst` or `limitToLast`.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
+   *
    *  const args = {
-   *    collection: "collection",
-   *    id: "uniqueId",
-   *    fieldName: "fieldName",
-   *    key: "key",
-   *    value: "value"
+   *    path: "chats/general/messages",
+   *    orderByChild: "timestamp",
+   *    startAt: 1612345678901,
+   *    limitToFirst: 50
    *  }
-   * 
+   *  const messages = await queryValues(args);
+   *
    * ```
    *
    * @param args An object of arguments.
-   * @return true.
+   * @return Array of keys and values in query order.
    */
-  async insertOrUpdateField(args) {
-    const { collection, id, fieldName, key, value } = args;
+  async queryValues(args) {
+    const { path, orderByChild, orderByKey, orderByValue, startAt, endAt, equalTo, limitToFirst, limitToLast } = args;
     if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
     };
-    if (this.activeUser) {
+    if (this.activeUser && this.activeUser.uid) {
       try {
-        if (id) {
-          await firebase
-            .firestore()
-            .collection(collection)
-            .doc(id)
-            .set({ [fieldName]: { [key]: value } }, { merge: true });
-          return true
-        } else {
-          throw new Error('Not Authorised');
-        };
-      } catch (error) {
-        return error;
-      }
+        await this.assertDatabaseAccess("read", path, undefined, null);
+        var query = this.adminApp.database().ref(path);
+        if (orderByChild) query = query.orderByChild(orderByChild);
+        if (orderByKey) query = query.orderByKey();
+        if (orderByValue) query = query.orderByValue();
+        if (startAt !== undefined) query = query.startAt(startAt);
+        if (endAt !== undefined) query = query.endAt(endAt);
+        if (equalTo !== undefined) query = query.equalTo(equalTo);
+        if (limitToFirst) query = query.limitToFirst(limitToFirst);
+        if (limitToLast) query = query.limitToLast(limitToLast);
+        const snapshot = await query.once('value');
+        const values = [];
+        snapshot.forEach(child => {
+          values.push({ key: child.key, value: child.val() });
+        });
+        return values;
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
     };
   };
 
-  /** Remove a key from a map field in a document in a firestore collection.
+  /** Update several paths in the realtime database atomically.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
+   *
    *  const args = {
-   *    collection: "collection",
-   *    id: "uniqueId",
-   *    fieldName: "fieldName",
-   *    key: "key"
+   *    updates: {
+   *      "chats/general/lastMessage": "Hello",
+   *      "users/4FVas9I0oTran87Hjf/lastChat": "general"
+   *    }
    *  }
-   * 
+   *  await multiPathUpdate(args);
+   *
    * ```
    *
    * @param args An object of arguments.
    * @return true.
    */
-  async removeField(args) {
-    const { collection, id, fieldName, key } = args;
-    if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
-    };
-    if (this.activeUser) {
-      try {
-        if (id) {
-          await firebase
-            .firestore()
-            .collection(collection)
-            .doc(id)
-            .set({ [fieldName]: { [key]: firebase.firestore.FieldValue.delete() } }, { merge: true });
-          return true
-        } else {
-          throw new Error('Not Authorised');
-        };
-      } catch (error) {
-        return error;
-      }
-    };
-  };
-
-  // Function: createNestedObject( base, names[, value] )
-  //   base: the object on which to create the hierarchy
-  //   names: an array of strings contaning the names of the objects
-  //   value (optional): if given, will be the last object in the hierarchy
-  // Returns: the last object in the hierarchy
-  createNestedObject(base, names, value) {
-    // If a value is given, remove the last name and keep it for later:
-    var lastName = arguments.length === 3 ? names.pop() : false;
-
-    // Walk the hierarchy, creating new objects where needed.
-    // If the lastName was removed, then the last object is not set yet:
-    for (var i = 0; i < names.length; i++) {
-      base = base[names[i]] = base[names[i]] || {};
-    }
-
-    // If a value was given, set it to the last name:
-    if (lastName) base = base[lastName] = firebase.firestore.FieldValue.increment(value);
-
-    // Return the last object in the hierarchy:
-    return base;
-  };
-
-  /** Increment field value in a document in a firestore collection.
-     *
-     * @webonly
-     *
-     * @example
-     * ```javascript
-     * 
-     *  const args = {
-     *  }
-     * 
-     * ```
-     *
-     * @param args An object of arguments.
-     * @return true.
-     */
-  async incrementFields(args) {
-    const { collection, id, fieldsAndValues } = args;
+  async multiPathUpdate(args) {
+    const { updates } = args;
     if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
     };
-    let data = {};
-    fieldsAndValues.forEach(kvp => {
-      let fields = kvp.fieldName.split(".");
-      this.createNestedObject(data, fields, kvp.value);
-    });
-    if (this.activeUser) {
+    if (this.activeUser && this.activeUser.uid) {
       try {
-        if (id) {
-          await firebase
-            .firestore()
-            .collection(collection)
-            .doc(id)
-            .set(data, { merge: true });
-          return true;
-        } else {
-          throw new Error('Not Authorised');
+        for (const path in updates) {
+          await this.assertDatabaseAccess("write", path, updates[path]);
         };
-      } catch (error) {
-        return error;
-      }
+        await this.adminApp.database().ref().update(updates);
+        return true;
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
+    } else {
+      throw new UnauthenticatedError('Not Authorised');
     };
   };
 
-  /** Delete a document from a firestore collection.
+  /** Update the value at a path in the realtime database in a transaction.
+   *
+   * The update function receives the current value and returns the new
+   * value, or undefined to abort. It is called again when the value is
+   * changed concurrently.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
+   *
    *  const args = {
-   *    collection: "users",
-   *    documentId: "3yXfDg56UilE2Wq"
+   *    path: "chats/general/memberCount",
+   *    update: count => (count || 0) + 1
    *  }
-   * 
+   *  const { committed, value } = await runValueTransaction(args);
+   *
    * ```
    *
    * @param args An object of arguments.
-   * @return true.
+   * @return whether the transaction committed and the resulting value.
    */
-  async deleteDocument(args) {
-    const { collection, documentId } = args;
+  async runValueTransaction(args) {
+    const { path, update } = args;
     if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
     };
-    if (this.activeUser) {
-      const documentReference = this.db.collection(collection).doc(documentId);
-      await documentReference.delete();
-      return true;
+    if (this.activeUser && this.activeUser.uid) {
+      try {
+        await this.assertDatabaseAccess("write", path);
+        const { committed, snapshot } = await this.adminApp.database().ref(path).transaction(update);
+        return { committed, value: snapshot ? snapshot.val() : null };
+      } catch (err) {
+        throw mapFirebaseError(err);
+      };
     } else {
-      throw new Error('Not Authorised');
+      throw new UnauthenticatedError('Not Authorised');
     };
   };
 
-  /** Retrieve a document from a firestore collection.
+  /* IMPORT AND EXPORT FUNCTIONS */
+
+  /** Write the documents of a collection and their subcollections as NDJSON.
+   *
+   * Each line is an object with the `path` and `data` of one document, and
+   * subcollection documents follow the document they belong to. Timestamps,
+   * geopoints, references and bytes are encoded as objects with a `__type`
+   * so an import restores their types. The collection can be filtered with
+   * the same options as `getDocuments`. An interrupted export can continue
+   * with `resumeAfter` set to the id of the last exported top-level
+   * document, which needs an export without `orderBy`. Documents are read
+   * with the Admin SDK, so only admins can export.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
+   *
    *  const args = {
    *    collection: "users",
-   *    id: "Van4Tij98lKfbOKP0"
+   *    output: fs.createWriteStream("users.ndjson")
    *  }
-   * 
+   *  const { count, lastId } = await exportCollection(args);
+   *
    * ```
    *
    * @param args An object of arguments.
-   * @return Object representation of a document.
+   * @return the number of exported documents and the id of the last top-level document.
    */
-  async getDocumentById(args) {
-    const { collection, id } = args;
-    var document = null;
+  async exportCollection(args) {
+    const { collection, filterArgs, output, subcollections = true, resumeAfter } = args;
+    const filterOptions = { ...this.defaultFilterOptions, ...filterArgs };
     if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
     };
-    if (this.activeUser) {
+    if (resumeAfter && filterOptions.orderBy) {
+      throw new InvalidInputError('An export with orderBy cannot be resumed.');
+    };
+    if (this.activeUser && this.activeUser.customClaims && this.activeUser.customClaims.admin) {
+      var queryRef = this.buildQuery(collection, filterOptions, { admin: true });
+      if (resumeAfter) {
+        queryRef = queryRef.orderBy(admin.firestore.FieldPath.documentId()).startAfter(resumeAfter);
+      };
+      var count = 0;
+      var lastId = resumeAfter || null;
+      const exportDocument = async (documentSnapshot) => {
+        await writeLine(output, JSON.stringify({
+          path: documentSnapshot.ref.path,
+          data: encodeFirestoreValue(documentSnapshot.data())
+        }));
+        count++;
+        if (!subcollections) return;
+        const collectionReferences = await this.callFirebase("exportCollection", () => documentSnapshot.ref.listCollections(), { idempotent: true });
+        for (const collectionReference of collectionReferences) {
+          for await (const nestedSnapshot of collectionReference.stream()) {
+            await exportDocument(nestedSnapshot);
+          };
+        };
+      };
       try {
-        const docRef = this.db.collection(collection).doc(id);
-        var documentSnapshot = await docRef.get();
-        if (documentSnapshot.exists) {
-          document = {
-            id: documentSnapshot.id,
-            ...documentSnapshot.data()
-          }
-        }
-        return document;
+        for await (const documentSnapshot of queryRef.stream()) {
+          await exportDocument(documentSnapshot);
+          lastId = documentSnapshot.id;
+        };
+        return { count, lastId };
       } catch (err) {
-        throw new Error('Function getDocumentById failed.');
-      }
+        const error = mapFirebaseError(err, 'Function exportCollection failed.');
+        error.extensions.resumeAfter = lastId;
+        throw error;
+      };
     } else {
-      throw new Error('Not Authorised');
+      throw new ForbiddenError('Only admins can export collections.');
     };
   };
 
-  /** Retrieve list of document IDs from a firestore collection.
+  /** Write documents read from NDJSON to firestore.
+   *
+   * Reads lines in the format written by `exportCollection` and writes them
+   * in batches. With `mode: "upsert"` existing documents are replaced, with
+   * `mode: "skipExisting"` they are left as they are. When an import fails,
+   * the error's `resumeAfter` extension has the path of the last document
+   * that was written, and passing it as `resumeAfter` continues from the
+   * next line. Documents are written with the Admin SDK, so only admins can
+   * import.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
+   *
    *  const args = {
-   *    collection: "users"
+   *    input: fs.createReadStream("users.ndjson"),
+   *    mode: "skipExisting"
    *  }
-   * 
+   *  const { written, skipped } = await importCollection(args);
+   *
    * ```
    *
    * @param args An object of arguments.
-   * @return Array of documents.
+   * @return the numbers of written and skipped documents and the path of the last document.
    */
-  async listDocuments(args) {
-    const { collection } = args;
+  async importCollection(args) {
+    const { input, mode = "upsert", resumeAfter } = args;
     if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
     };
-    if (this.activeUser) {
+    if (mode !== "upsert" && mode !== "skipExisting") {
+      throw new InvalidInputError(`Unknown import mode '${mode}'.`);
+    };
+    if (this.activeUser && this.activeUser.customClaims && this.activeUser.customClaims.admin) {
+      const firestore = this.adminApp.firestore();
+      var written = 0;
+      var skipped = 0;
+      var lastPath = resumeAfter || null;
+      var pending = [];
+      const commitPending = async () => {
+        var documents = pending;
+        pending = [];
+        if (documents.length === 0) return;
+        const chunkLastPath = documents[documents.length - 1].reference.path;
+        if (mode === "skipExisting") {
+          const documentSnapshots = await this.callFirebase("importCollection", () => firestore.getAll(...documents.map(({ reference }) => reference)), { idempotent: true });
+          const existing = documentSnapshots.filter(documentSnapshot => documentSnapshot.exists).map(documentSnapshot => documentSnapshot.ref.path);
+          skipped += existing.length;
+          documents = documents.filter(({ reference }) => existing.indexOf(reference.path) === -1);
+        };
+        if (documents.length > 0) {
+          const writeBatch = firestore.batch();
+          documents.forEach(({ reference, data }) => writeBatch.set(reference, data));
+          await this.callFirebase("importCollection", () => writeBatch.commit(), { idempotent: true });
+          written += documents.length;
+        };
+        lastPath = chunkLastPath;
+      };
+      var resuming = !!resumeAfter;
+      var lineNumber = 0;
       try {
-        var queryRef = await admin.firestore().collection(collection).listDocuments();
-        var documents = [];
-        if (queryRef.length > 0) {
-          documents = queryRef.map(doc => doc.id);
+        for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+          lineNumber++;
+          if (line.trim() === "") continue;
+          var document;
+          try {
+            document = JSON.parse(line);
+          } catch (e) {
+            throw new InvalidInputError(`Invalid JSON on line ${lineNumber}.`, { cause: e });
+          };
+          if (!document || typeof document.path !== "string" || !isPlainObject(document.data)) {
+            throw new InvalidInputError(`Line ${lineNumber} must have a document path and data.`);
+          };
+          if (resuming) {
+            if (document.path === resumeAfter) resuming = false;
+            continue;
+          };
+          const reference = firestore.doc(document.path);
+          const data = this.markNotDeleted(reference.parent.path, decodeFirestoreValue(document.data, firestore), null);
+          pending.push({ reference, data });
+          if (pending.length === maxBatchWrites) await commitPending();
         };
-        if (documents.length === 0) throw new Error("No data.");
-        return documents;
+        await commitPending();
+        return { written, skipped, lastPath };
       } catch (err) {
-        throw new Error('Function listDocuments failed.');
+        const error = mapFirebaseError(err, 'Function importCollection failed.');
+        error.extensions.resumeAfter = lastPath;
+        throw error;
+      };
+    } else {
+      throw new ForbiddenError('Only admins can import collections.');
+    };
+  };
+
+  /* TRANSACTION FUNCTIONS */
+
+  /** Stage a write operation on a transaction.
+   *
+   * The arguments are the same as those of the data source method with the
+   * name of the operation, and the same access rules and audit stamps are
+   * applied. The rules are checked against the documents as read in the
+   * transaction, so they cannot change before the write is committed.
+   * Staged writes are not recorded in the document history.
+   *
+   * @webonly
+   *
+   * @param writer a deferred writer on a firestore transaction.
+   * @param operation the name of a write method, e.g. "addDocument".
+   * @param args An object of arguments for the operation.
+   * @return collection and id of the staged document.
+   */
+  async stageWrite(writer, operation, args) {
+    const { collection } = args;
+    const collectionReference = this.collectionReference(collection);
+    switch (operation) {
+      case "addDocument": {
+        const input = await this.runHooks(collection, "beforeCreate", { id: args.data.id, operation, data: { ...args.data } }, "data");
+        const validatedData = this.validateDocument(collection, "create", { ...input });
+        const { id, ...data } = this.fromGraphQLDocument(collection, validatedData);
+        const documentReference = id ? collectionReference.doc(id) : collectionReference.doc();
+        var existing = null;
+        if (id) {
+          existing = await this.assertUpsertAccess(writer, collection, documentReference, validatedData);
+        } else {
+          await this.assertAccess(collection, "create", { data: validatedData });
+        };
+        const stamp = this.auditStamp(collection, existing ? "update" : "create");
+        writer.set(documentReference, this.markNotDeleted(collection, { ...data, ...stamp }, existing), { merge: true });
+        return { collection, id: documentReference.id, hook: "afterCreate", payload: { id: documentReference.id, operation, data: validatedData } };
+      }
+      case "updateDocument": {
+        if (!args.data.id) throw new InvalidInputError('The document to update has no id.');
+        const input = { ...(await this.runHooks(collection, "beforeUpdate", { id: args.data.id, operation, data: { ...args.data } }, "data")), id: args.data.id };
+        const validatedData = this.validateDocument(collection, "update", { ...input });
+        const { id, ...data } = this.fromGraphQLDocument(collection, validatedData);
+        const documentReference = collectionReference.doc(id);
+        const existing = await this.assertUpsertAccess(writer, collection, documentReference, validatedData);
+        const stamp = this.auditStamp(collection, existing ? "update" : "create");
+        writer.set(documentReference, this.markNotDeleted(collection, { ...data, ...stamp }, existing), { merge: true });
+        return { collection, id, hook: "afterUpdate", payload: { id, operation, data: validatedData } };
       }
+      case "deleteDocument": {
+        const { documentId } = args;
+        await this.runHooks(collection, "beforeDelete", { id: documentId, operation });
+        const documentReference = collectionReference.doc(documentId);
+        const documentSnapshot = await writer.get(documentReference);
+        if (this.isSoftDeleted(collection) && !documentSnapshot.exists) {
+          throw new NotFoundError(`No document '${documentId}' in '${collection}'.`);
+        };
+        await this.assertAccess(collection, "delete", { id: documentId, document: documentSnapshot.exists ? this.snapshotToDocument(collection, documentSnapshot) : null });
+        if (this.isSoftDeleted(collection)) {
+          if (documentSnapshot.get("deletedAt") != null) return { collection, id: documentId };
+          writer.update(documentReference, {
+            deletedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            deletedBy: this.activeUser.uid,
+            ...this.auditStamp(collection, "update")
+          });
+        } else {
+          writer.delete(documentReference);
+        };
+        return { collection, id: documentId, hook: "afterDelete", payload: { id: documentId, operation } };
+      }
+      default:
+        break;
+    };
+
+    const { id } = args;
+    if (writeOperations.indexOf(operation) === -1) {
+      throw new InvalidInputError(`Operation '${operation}' cannot be staged.`);
+    };
+    if (!id) throw new InvalidInputError('The document to update has no id.');
+    const data = this.fieldWrites(collection, operation, args);
+    await this.runHooks(collection, "beforeUpdate", { id, operation, data });
+    const documentReference = collectionReference.doc(id);
+    const documentSnapshot = await writer.get(documentReference);
+    await this.assertAccess(collection, "update", { id, document: documentSnapshot.exists ? this.snapshotToDocument(collection, documentSnapshot) : null });
+    const stamp = this.auditStamp(collection, "update");
+    if (operation === "addArrayElement" || operation === "removeArrayElement") {
+      writer.update(documentReference, { ...data, ...stamp });
     } else {
-      throw new Error('Not Authorised');
+      writer.set(documentReference, { ...data, ...stamp }, { merge: true });
     };
+    return { collection, id, hook: "afterUpdate", payload: { id, operation, data } };
   };
 
-  /** Retrieve data from a firestore collection.
+  /** Commit a list of write operations atomically.
+   *
+   * The operations are committed in a transaction, so adding a document with
+   * an id can check atomically whether it already exists.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
-   *  const args = {
-   *    collection: "users"
-   *  }
-   * 
+   *
+   *  const operations = [
+   *    { operation: "addDocument", args: { collection: "orders", data: { item: "book", quantity: 1 } } },
+   *    { operation: "incrementFields", args: { collection: "stock", id: "book", fieldsAndValues: [{ fieldName: "count", value: -1 }] } },
+   *    { operation: "addArrayElement", args: { collection: "users", id: "4FVas9I0oTran87Hjf", arrayField: "history", arrayValue: "book" } }
+   *  ]
+   *  const ids = await batch(operations);
+   *
    * ```
    *
-   * @param args An object of arguments.
-   * @return Array of documents.
+   * @param operations An array of operation names and their arguments.
+   * @return Array of the ids of the written documents.
    */
-  async getDocuments(args) {
-    const { collection, filterArgs } = args;
-    const filterOptions = { ...this.defaultFilterOptions, ...filterArgs };
+  async batch(operations) {
     if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
+    };
+    if (operations.length > maxBatchWrites) {
+      throw new InvalidInputError(`A batch can contain up to ${maxBatchWrites} operations.`);
     };
     if (this.activeUser) {
       try {
-        var queryRef = this.db.collection(collection);
-        if (filterOptions.orderBy && filterOptions.orderBy !== "") {
-          const sortOrderArray = filterOptions.sortOrder.split(',');
-          filterOptions.orderBy.split(',').map((item, index) => {
-            queryRef = queryRef.orderBy(item, sortOrderArray[index] ? sortOrderArray[index] : "asc");
-          })
-        };
-        var querySnapshot = await queryRef.get();
-        var documents = [];
-        if (querySnapshot.docs.length > 0) {
-          documents = querySnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-          }));
+        var staged = [];
+        await this.callFirebase("batch", () => this.db.runTransaction(async transaction => {
+          staged = [];
+          const writer = deferredWriter(transaction);
+          for (const { operation, args } of operations) {
+            staged.push(await this.stageWrite(writer, operation, args));
+          };
+          writer.flush();
+        }));
+        staged.forEach(({ collection, id }) => this.clearDocument(collection, id));
+        for (const { collection, hook, payload } of staged) {
+          if (hook) await this.runHooks(collection, hook, payload);
         };
-        if (documents.length === 0) throw new Error("No data.");
-        return documents;
+        return staged.map(({ id }) => id);
       } catch (err) {
-        throw new Error('Function getDocuments failed.');
-      }
+        throw mapFirebaseError(err);
+      };
     } else {
-      throw new Error('Not Authorised');
+      throw new UnauthenticatedError('Not Authorised');
     };
   };
 
-  /** Retrieve a page of data from a firestore collection.
+  /** Run a function in a firestore transaction.
+   *
+   * The function receives a transaction object with `getDocumentById` for
+   * transactional reads and the write methods (`addDocument`,
+   * `updateDocument`, `deleteDocument`, `insertOrUpdateField`, `removeField`,
+   * `incrementFields`, `addArrayElement` and `removeArrayElement`) to stage
+   * writes. Staged writes are applied when the function returns, so reads
+   * never see the transaction's own writes. The function is
+   * retried when the documents it read are changed concurrently, so it
+   * should not have side effects. Before hooks run each time a write is
+   * staged, and after hooks run once the transaction has committed.
    *
    * @webonly
    *
    * @example
    * ```javascript
-   * 
-   *  const args = {
-   *    collection: "users"
-   *  }
-   * 
+   *
+   *  const orderId = await runTransaction(async transaction => {
+   *    const stock = await transaction.getDocumentById({ collection: "stock", id: "book" });
+   *    if (stock.count < 1) throw new Error("Out of stock.");
+   *    await transaction.incrementFields({ collection: "stock", id: "book", fieldsAndValues: [{ fieldName: "count", value: -1 }] });
+   *    return transaction.addDocument({ collection: "orders", data: { item: "book" } });
+   *  });
+   *
    * ```
    *
-   * @param args An object of arguments.
-   * @return Array of documents.
+   * @param fn the function to run.
+   * @return the value returned by the function.
    */
-  async getPageOfDocuments(args) {
-    const { collection, filterArgs, pageArgs } = args;
-    const filterOptions = { ...this.defaultFilterOptions, ...filterArgs };
-    const pageOptions = { ...this.defaultPageOptions, ...pageArgs };
+  async runTransaction(fn) {
     if (this.activeUser.errors && this.activeUser.errors.length > 0) {
-      throw new Error("User authentication error");
+      throw new UnauthenticatedError("User authentication error", { cause: this.activeUser.errors[0] });
     };
     if (this.activeUser) {
       try {
-        var queryRef = this.db.collection(collection);
-        if (filterOptions.orderBy && filterOptions.orderBy !== "") {
-          const sortOrderArray = filterOptions.sortOrder.split(',');
-          filterOptions.orderBy.split(',').map((item, index) => {
-            queryRef = queryRef.orderBy(item, sortOrderArray[index] ? sortOrderArray[index] : "asc");
-          })
-        };
-        if (filterOptions.where && filterOptions.where.length > 0) {
-          filterOptions.where.forEach(item => {
-            if (item.fieldName && item.fieldName !== "" && item.value && item.value !== "" && item.operator) {
-              queryRef = queryRef.where(item.fieldName, item.operator !== "" ? item.operator : "", item.value);
+        var staged = [];
+        const result = await this.callFirebase("runTransaction", () => this.db.runTransaction(async transaction => {
+          staged = [];
+          const writer = deferredWriter(transaction);
+          const transactionOperations = {
+            getDocumentById: async ({ collection, id }) => {
+              await this.runHooks(collection, "beforeRead", { id });
+              const documentSnapshot = await transaction.get(this.collectionReference(collection).doc(id));
+              const document = documentSnapshot.exists
+                ? this.toGraphQLDocument(collection, { id: documentSnapshot.id, ...documentSnapshot.data() })
+                : null;
+              if (!document) return document;
+              await this.assertAccess(collection, "read", { id, document });
+              return this.runHooks(collection, "afterRead", { id, document }, "document");
             }
-          })
-        };
-        if (pageOptions.cursor && pageOptions.cursor.length > 0) {
-          switch (pageOptions.direction) {
-            case 'forward':
-              var forwardCursor = await this.db.collection(collection)
-                .doc(pageOptions.cursor[pageOptions.cursor.length - 1])
-                .get();
-              queryRef = queryRef
-                .startAfter(forwardCursor);
-              break;
-            case 'back':
-              pageOptions.cursor = pageOptions.cursor.slice(0, pageOptions.cursor.length - 2);
-              if (pageOptions.cursor.length > 0) {
-                var backCursor = await this.db.collection(collection)
-                  .doc(pageOptions.cursor[pageOptions.cursor.length - 1])
-                  .get();
-                queryRef = queryRef
-                  .startAfter(backCursor);
-              }
-              break;
-            default:
-              break;
-          }
-        };
-        var querySnapshot = await queryRef.limit(pageOptions.pageSize).get();
-        var documents = [];
-        if (querySnapshot.docs.length > 0) {
-          pageOptions.cursor.push(querySnapshot.docs[querySnapshot.docs.length - 1].id);
-          documents = querySnapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-          }));
+          };
+          writeOperations.forEach(operation => {
+            transactionOperations[operation] = async (args) => {
+              const write = await this.stageWrite(writer, operation, args);
+              staged.push(write);
+              return write.id;
+            };
+          });
+          const result = await fn(transactionOperations);
+          writer.flush();
+          return result;
+        }));
+        staged.forEach(({ collection, id }) => this.clearDocument(collection, id));
+        for (const { collection, hook, payload } of staged) {
+          if (hook) await this.runHooks(collection, hook, payload);
         };
-        if (documents.length === 0 && pageOptions.cursor.length) throw new Error("No more paged data.");
-        const result = { documents, filterOptions, pageOptions };
         return result;
       } catch (err) {
-        throw err;
-      }
+        throw mapFirebaseError(err);
+      };
     } else {
-      throw new Error('Not Authorised');
-    }
+      throw new UnauthenticatedError('Not Authorised');
+    };
   };
 
 }
 
 module.exports = FirebaseDataSource;
+module.exports.FirebaseDataSourceError = FirebaseDataSourceError;
+module.exports.UnauthenticatedError = UnauthenticatedError;
+module.exports.ForbiddenError = ForbiddenError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.InvalidInputError = InvalidInputError;
+module.exports.ConflictError = ConflictError;
+module.exports.UnavailableError = UnavailableError;
+module.exports.mapFirebaseError = mapFirebaseError;
 